@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS roles_permissions;
+DROP TABLE IF EXISTS app_features;
+DROP TABLE IF EXISTS users_roles;
+DROP TABLE IF EXISTS tenants;
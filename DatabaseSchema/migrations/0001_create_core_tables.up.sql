@@ -0,0 +1,54 @@
+-- Tenants, roles, features, their permissions and the users.
+
+CREATE TABLE tenants(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	tenant_name VARCHAR(255) NOT NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE users_roles(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	`name` VARCHAR(255) NOT NULL,
+	tenant_id INT,
+	description TEXT,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE TABLE app_features(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	feature_key VARCHAR(255) NOT NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE roles_permissions(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	role_id INT,
+	feature_id INT,
+	write_access BOOLEAN DEFAULT FALSE,
+	read_access BOOLEAN DEFAULT FALSE,
+	edit_access BOOLEAN DEFAULT FALSE,
+	delete_access BOOLEAN DEFAULT FALSE,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	FOREIGN KEY (role_id) REFERENCES users_roles(id) ON DELETE SET NULL ON UPDATE CASCADE,
+	FOREIGN KEY (feature_id) REFERENCES app_features(id) ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+CREATE TABLE users(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	tenant_id INT,
+	username VARCHAR(255) NOT NULL,
+	role_id INT,
+	auth_token TEXT NOT NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	deleted_at DATETIME NULL,
+	-- 1 for live rows and NULL once soft deleted, NULLs never collide so a deleted username can be taken again.
+	not_deleted TINYINT GENERATED ALWAYS AS (IF(deleted_at IS NULL, 1, NULL)) VIRTUAL,
+	UNIQUE KEY users_tenant_username (tenant_id, username, not_deleted),
+	FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL ON UPDATE CASCADE,
+	FOREIGN KEY (role_id) REFERENCES users_roles(id) ON DELETE SET NULL ON UPDATE CASCADE
+);
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS delete_feature_permission_trigger;
+DROP TRIGGER IF EXISTS delete_role_permission_trigger;
+DROP TRIGGER IF EXISTS add_feature_permission_trigger;
+DROP TRIGGER IF EXISTS add_role_permission_trigger;
@@ -0,0 +1,40 @@
+-- Keep roles_permissions in sync with users_roles and app_features: a new role gets a row for the users feature,
+-- a new feature gets a row for every role, and deleting either removes its rows.
+-- Trigger bodies hold semicolons, the statements of this file end with $$ instead.
+
+DELIMITER $$
+
+CREATE TRIGGER add_role_permission_trigger
+AFTER INSERT ON users_roles
+FOR EACH ROW
+BEGIN
+	INSERT INTO roles_permissions (role_id, feature_id)
+	SELECT NEW.id, (SELECT id FROM app_features WHERE feature_key = 'users');
+END$$
+
+CREATE TRIGGER add_feature_permission_trigger
+AFTER INSERT ON app_features
+FOR EACH ROW
+BEGIN
+	INSERT INTO roles_permissions (role_id, feature_id)
+	SELECT id, NEW.id
+	FROM users_roles;
+END$$
+
+CREATE TRIGGER delete_role_permission_trigger
+BEFORE DELETE ON users_roles
+FOR EACH ROW
+BEGIN
+	DELETE FROM roles_permissions
+	WHERE role_id = OLD.id;
+END$$
+
+CREATE TRIGGER delete_feature_permission_trigger
+BEFORE DELETE ON app_features
+FOR EACH ROW
+BEGIN
+	DELETE FROM roles_permissions
+	WHERE feature_id = OLD.id;
+END$$
+
+DELIMITER ;
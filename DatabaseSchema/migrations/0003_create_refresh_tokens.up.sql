@@ -0,0 +1,20 @@
+-- Refresh tokens are stored hashed, one row per issued token. Rotated and logged out tokens are kept revoked
+-- so a reused token can be detected and its whole session revoked.
+CREATE TABLE refresh_tokens(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	tenant_id INT,
+	user_id INT NOT NULL,
+	session_id CHAR(36) NOT NULL,
+	token_hash CHAR(64) NOT NULL UNIQUE,
+	revoked BOOLEAN DEFAULT FALSE,
+	revoked_at DATETIME NULL,
+	user_agent VARCHAR(255),
+	ip_address VARCHAR(45),
+	expires_at DATETIME NOT NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	INDEX (session_id),
+	INDEX (user_id),
+	FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL ON UPDATE CASCADE,
+	FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
@@ -0,0 +1,35 @@
+-- IAM-like policies of a tenant, their statements and the roles they are attached to.
+CREATE TABLE policies(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	tenant_id INT NOT NULL,
+	`name` VARCHAR(255) NOT NULL,
+	description TEXT,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+	UNIQUE KEY policies_tenant_name (tenant_id, `name`),
+	FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE TABLE policy_statements(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	policy_id INT NOT NULL,
+	position INT NOT NULL DEFAULT 0,
+	effect ENUM('Allow', 'Deny') NOT NULL,
+	actions JSON NULL,
+	not_actions JSON NULL,
+	resources JSON NULL,
+	not_resources JSON NULL,
+	conditions JSON NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	FOREIGN KEY (policy_id) REFERENCES policies(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE TABLE role_policies(
+	id INT AUTO_INCREMENT PRIMARY KEY,
+	role_id INT NOT NULL,
+	policy_id INT NOT NULL,
+	created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+	UNIQUE KEY role_policies_role_policy (role_id, policy_id),
+	FOREIGN KEY (role_id) REFERENCES users_roles(id) ON DELETE CASCADE ON UPDATE CASCADE,
+	FOREIGN KEY (policy_id) REFERENCES policies(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
@@ -0,0 +1,48 @@
+import Logger from "./src/managers/logger.js";
+import ConfigManager from "./src/managers/config.js";
+import DatabaseManager from "./src/managers/database.js";
+import MigrationManager from "./src/managers/migration.js";
+
+/**
+ * Schema migration command.
+ *
+ * Usage:
+ * node migrate.js up [--to=<version>] [--dry-run]   // Applies the pending migrations.
+ * node migrate.js down [--steps=<batches>] [--dry-run] // Reverts the last batches.
+ * node migrate.js status                            // Lists every migration with its state.
+ */
+const [command = "up", ...args] = process.argv.slice(2);
+const options = Object.fromEntries(args.map(arg => arg.replace(/^--/, "").split("=")).map(([key, value]) => [key, value ?? true]));
+
+const configManager = ConfigManager.shared();
+const logger = new Logger(configManager.getConfig("log"));
+const databaseManager = new DatabaseManager(configManager.getConfig("database"), logger);
+const migrations = new MigrationManager(databaseManager, logger);
+
+const print = plan => {
+	for (const migration of plan) {
+		logger.info("MIGRATION", `${migration.version}_${migration.name}`);
+		if (options["dry-run"]) migration.statements.forEach(statement => console.log(`${statement};\n`));
+	}
+};
+
+try {
+	switch (command) {
+		case "up":
+			print(await migrations.migrate({ dryRun: Boolean(options["dry-run"]), to: options.to }));
+			break;
+		case "down":
+			print(await migrations.rollback({ dryRun: Boolean(options["dry-run"]), steps: Number(options.steps ?? 1) }));
+			break;
+		case "status":
+			console.table(await migrations.status());
+			break;
+		default:
+			throw new Error(`Unknown migration command "${command}", expected up, down or status.`);
+	}
+} catch (error) {
+	logger.error("MIGRATION", error.message);
+	process.exitCode = 1;
+} finally {
+	await databaseManager.close();
+}
@@ -0,0 +1,47 @@
+import Logger from "./src/managers/logger.js";
+import ConfigManager from "./src/managers/config.js";
+import DatabaseManager from "./src/managers/database.js";
+import MigrationManager from "./src/managers/migration.js";
+import SeedManager from "./src/managers/seed.js";
+
+/**
+ * Seed command.
+ *
+ * Usage:
+ * node seed.js [development|demo|test]                  // Seeds the environment, development by default.
+ * node seed.js development --tenants=20 --users=500     // Also generates 20 tenants of 500 users.
+ * node seed.js demo --reset                             // Reverts every migration, migrates and seeds again.
+ *
+ * --reset drops every table, it is refused unless the database host is local or --force is given.
+ */
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "::1"];
+
+const args = process.argv.slice(2);
+const environment = args.find(arg => !arg.startsWith("--")) ?? "development";
+const options = Object.fromEntries(args.filter(arg => arg.startsWith("--")).map(arg => arg.slice(2).split("=")).map(([key, value]) => [key, value ?? true]));
+
+const configManager = ConfigManager.shared();
+const logger = new Logger(configManager.getConfig("log"));
+const databaseConfig = configManager.getConfig("database");
+const databaseManager = new DatabaseManager(databaseConfig, logger);
+const seeds = new SeedManager(databaseManager, logger);
+
+try {
+	if (options.reset) {
+		if (!LOCAL_HOSTS.includes(databaseConfig.host ?? "localhost") && !options.force)
+			throw new Error(`Refusing to reset the database on ${databaseConfig.host}, add --force to reset a remote database.`);
+		const migrations = new MigrationManager(databaseManager, logger);
+		await migrations.rollback({ steps: Infinity });
+		await migrations.migrate();
+	}
+	await seeds.run(environment, {
+		tenants: Number(options.tenants ?? 0),
+		usersPerTenant: Number(options.users ?? 100),
+		password: configManager.getConfig("auth")?.password,
+	});
+} catch (error) {
+	logger.error("SEED", error.message);
+	process.exitCode = 1;
+} finally {
+	await databaseManager.close();
+}
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+import ConfigManager from "../src/managers/config.js";
+import "../src/managers/authentication.js";
+import "../src/managers/database.js";
+import "../src/managers/logger.js";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "config-spec-"));
+const configFile = path.join(directory, "config.json");
+const section = (database = {}, auth = {}) => ({
+  env: "local",
+  local: {
+    port: 3000,
+    log: { directory: path.join(directory, "logs") },
+    database: { user: "app", database: "app", connectionLimit: 10, ...database },
+    auth: { secret: "secret", ...auth },
+  },
+});
+const write = (config) => fs.writeFileSync(configFile, JSON.stringify(config));
+
+describe("ConfigManager", () => {
+  let configManager;
+  beforeEach(() => {
+    write(section());
+    configManager = new ConfigManager(configFile, { env: {}, envFilePath: path.join(directory, ".env") });
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("reads camelCase keys, whatever their case", () => {
+    assert.equal(configManager.getConfig("database.connectionLimit"), 10);
+    assert.equal(configManager.getConfig("DATABASE.connectionlimit"), 10);
+    assert.throws(() => configManager.getConfig("database.nope"), /invalid key/);
+  });
+
+  it("calls the subscribers of a changed camelCase key on reload", () => {
+    const calls = [];
+    configManager.subscribe("database.connectionLimit", (value, previous) => calls.push([value, previous]));
+    configManager.subscribe("log.level", () => calls.push("log"));
+    write(section({ connectionLimit: 20 }));
+    assert.deepEqual(configManager.reload(), ["database.connectionLimit"]);
+    assert.deepEqual(calls, [[20, 10]]);
+  });
+
+  it("selects the section of APP_ENV, else of the env key, before NODE_ENV", () => {
+    write({ ...section(), staging: section().local });
+    const options = (env) => ({ env, envFilePath: path.join(directory, ".env") });
+    assert.equal(new ConfigManager(configFile, options({ NODE_ENV: "production" })).environment, "local");
+    assert.equal(new ConfigManager(configFile, options({ NODE_ENV: "production", APP_ENV: "staging" })).environment, "staging");
+    const { env, ...sections } = section();
+    write(sections);
+    assert.equal(new ConfigManager(configFile, options({ NODE_ENV: "local" })).environment, "local");
+  });
+
+  it("tells which changed keys only apply after a restart", () => {
+    assert.equal(ConfigManager.requiresRestart("database.connectionLimit"), true);
+    assert.equal(ConfigManager.requiresRestart("port"), true);
+    assert.equal(ConfigManager.requiresRestart("log.directory"), true);
+    assert.equal(ConfigManager.requiresRestart("log.level"), false);
+    assert.equal(ConfigManager.requiresRestart("unregistered.key"), false);
+  });
+
+  it("only accepts a power of two as scrypt cost", () => {
+    write(section({}, { password: { cost: 32768 } }));
+    configManager.reload();
+    write(section({}, { password: { cost: 20000 } }));
+    assert.throws(() => configManager.reload(), /auth\.password\.cost" must be one of 1024, 2048/);
+    assert.equal(configManager.getConfig("auth.password.cost"), 32768);
+  });
+
+  it("keeps the last valid configuration when the new one is invalid", () => {
+    write(section({ connectionLimit: "many" }));
+    assert.throws(() => configManager.reload(), /connectionLimit/);
+    assert.equal(configManager.getConfig("database.connectionLimit"), 10);
+  });
+});
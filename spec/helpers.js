@@ -0,0 +1,113 @@
+import express from "express";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import Authentication from "../src/managers/authentication.js";
+import DatabaseManager from "../src/managers/database.js";
+import Logger from "../src/managers/logger.js";
+import RouteManager from "../src/managers/route.js";
+
+/**
+ * Shared fixtures of the specs: a DatabaseManager answering from a function instead of MySQL,
+ * and the application served on a random port with it.
+ */
+
+export const logger = new Logger({ directory: fs.mkdtempSync(path.join(os.tmpdir(), "spec-logs-")), level: "error" });
+logger.log = () => { };
+
+/**
+ * DatabaseManager whose connections record every call and answer queries with `rowsFor(sql, values)`,
+ * the SQL without its backticks. Unanswered selects get no rows and other statements one affected row.
+ * Detached queries (authentication, permissions) run on their own connection, without transaction.
+ */
+export class FakeDatabase extends DatabaseManager {
+	constructor(rowsFor = () => undefined) {
+		super({}, logger);
+		this.rowsFor = rowsFor;
+		this.calls = [];
+	}
+
+	#connection(name) {
+		const record = (...call) => this.calls.push([name, ...call]);
+		return {
+			execute: async (sql, values) => {
+				const query = sql.replaceAll("`", "");
+				record("execute", query, values);
+				return [this.rowsFor(query, values) ?? (query.startsWith("SELECT") ? [] : { affectedRows: 1, insertId: 1 })];
+			},
+			query: async (sql) => {
+				record("query", sql);
+				return [[]];
+			},
+			beginTransaction: async () => record("begin"),
+			commit: async () => record("commit"),
+			rollback: async () => record("rollback"),
+			ping: async () => { },
+			release: () => record("release"),
+		};
+	}
+
+	async acquireConnection(requestId) {
+		return { requestId, connection: this.#connection("request"), transaction: { enabled: true, isolationLevel: undefined, active: false } };
+	}
+
+	detached(callback) {
+		return this.run({ requestId: "detached", connection: this.#connection("detached"), transaction: { enabled: false } }, callback);
+	}
+
+	/**
+	 * The names of the calls made on request connections, e.g. ["begin", "execute", "commit", "release"].
+	 * @returns {Array<string>}
+	 */
+	requestCalls() {
+		return this.calls.filter(([name]) => name === "request").map(([, call]) => call);
+	}
+
+	/**
+	 * The SQL of the queries run on request connections.
+	 * @returns {Array<string>}
+	 */
+	requestQueries() {
+		return this.calls.filter(([name, call]) => name === "request" && call === "execute").map(([, , sql]) => sql);
+	}
+}
+
+/**
+ * Answers the queries every authenticated request makes: its session is active and its role
+ * has every permission on the users and settings features.
+ * @param {string} sql - The SQL of the query.
+ * @returns {Array<Object>|undefined} The rows, undefined for the default answer.
+ */
+export function authenticatedRows(sql) {
+	if (sql.startsWith("SELECT refresh_tokens.expires_at FROM")) return [{ expires_at: new Date(Date.now() + 60000) }];
+	if (sql.includes("FROM roles_permissions")) {
+		return ["users", "settings"].map(feature_key => ({ role_id: 1, feature_key, read_access: 1, write_access: 1, edit_access: 1, delete_access: 1 }));
+	}
+}
+
+/**
+ * Serves the application on a random port.
+ * @param {FakeDatabase} database - The database of the application.
+ * @returns {Promise<{request: Function, close: Function, authentication: Authentication}>} `request(method, path, body, { token })`
+ * resolves with `{ status, body }`, with the token of user 1 (tenant 1, role 1) unless another one (or null) is given.
+ */
+export async function startServer(database) {
+	const app = express();
+	const authentication = new Authentication({ secret: "secret", publicRoutes: ["POST /auth/login", "POST /auth/refresh"] }, logger, database);
+	new RouteManager(app, database, logger, authentication);
+	const server = app.listen(0);
+	await new Promise(resolve => server.once("listening", resolve));
+	const url = `http://127.0.0.1:${server.address().port}`;
+	const userToken = authentication.sign({ id: 1, tenant_id: 1, role_id: 1 }, "session-1");
+	const request = async (method, pathname, body, { token = userToken } = {}) => {
+		const headers = { "content-type": "application/json" };
+		if (token) headers.authorization = `Bearer ${token}`;
+		const response = await fetch(url + pathname, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+		return { status: response.status, body: await response.json() };
+	};
+	const close = () => new Promise(resolve => {
+		server.closeAllConnections();
+		server.close(resolve);
+	});
+	return { request, close, authentication };
+}
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { User } from "../src/models/auth.js";
+import { ForbiddenError } from "../src/managers/errors.js";
+import { FakeDatabase, startServer } from "./helpers.js";
+
+/**
+ * Runs queries of the User model in a request context bound to a tenant.
+ * @returns {Promise<Array<{sql: string, values: Array}>>} The queries sent to the connection.
+ */
+const queriesOf = async (tenantId, callback) => {
+	const database = new FakeDatabase();
+	const context = await database.acquireConnection("spec");
+	context.transaction.enabled = false;
+	database.bindTenant(tenantId, context);
+	await database.run(context, () => callback(() => new User(database)));
+	return database.calls.filter(([, call]) => call === "execute").map(([, , sql, values]) => ({ sql, values }));
+};
+
+describe("Tenant scoping", () => {
+	it("filters selects, updates, deletes and restores on the tenant of the request", async () => {
+		const queries = await queriesOf(5, async (user) => {
+			await user().select().where({ id: 1 }).execute();
+			await user().update({ username: "bob" }).where({ id: 1 }).execute();
+			await user().delete().where({ id: 1 }).execute();
+			await user().hardDelete().where({ id: 1 }).execute();
+			await user().restore().where({ id: 1 }).execute();
+		});
+		assert.deepEqual(queries.map(({ sql }) => sql.split(" ")[0]), ["SELECT", "UPDATE", "UPDATE", "DELETE", "UPDATE"]);
+		for (const { sql, values } of queries) {
+			assert.match(sql, /\(users\.tenant_id = \?\)/);
+			assert.ok(values.includes(5), sql);
+		}
+	});
+
+	it("stamps inserted rows with the tenant of the request, whatever tenant they name", async () => {
+		const [{ sql, values }] = await queriesOf(5, user => user().insert([{ username: "bob" }, { username: "alice", tenant_id: 6 }]).execute());
+		assert.match(sql, /^INSERT INTO users \(.*tenant_id.*\)/);
+		const columns = sql.slice(sql.indexOf("(") + 1, sql.indexOf(")")).split(", ");
+		const tenants = values.filter((value, index) => columns[index % columns.length] === "tenant_id");
+		assert.deepEqual(tenants, [5, 5]);
+	});
+
+	it("scopes a query to the tenant named with forTenant()", async () => {
+		const [{ values }] = await queriesOf(5, user => user().select().forTenant(6).execute());
+		assert.ok(values.includes(6) && !values.includes(5));
+	});
+
+	it("only runs unscoped queries opted in with acrossTenants()", async () => {
+		const [{ sql }] = await queriesOf(5, user => user().select().acrossTenants("spec").execute());
+		assert.doesNotMatch(sql, /tenant_id/);
+		assert.throws(() => new User(new FakeDatabase()).select().acrossTenants(), /reason/);
+	});
+
+	it("refuses the queries of a request bound to a null tenant", async () => {
+		await assert.rejects(queriesOf(null, user => user().select().execute()), ForbiddenError);
+		await assert.rejects(queriesOf(null, user => user().insert({ username: "bob" }).execute()), ForbiddenError);
+		assert.equal((await queriesOf(null, user => user().select().forTenant(6).execute())).length, 1);
+	});
+
+	describe("of requests", () => {
+		let server;
+		afterEach(() => server.close());
+
+		it("answers a 403 to a user without tenant", async () => {
+			const database = new FakeDatabase(sql => sql.includes("FROM refresh_tokens") ? [{ expires_at: new Date(Date.now() + 60000) }] : undefined);
+			server = await startServer(database);
+			const token = server.authentication.sign({ id: 1, tenant_id: null, role_id: 1 }, "session-1");
+			const { status, body } = await server.request("GET", "/auth/sessions", undefined, { token });
+			assert.equal(status, 403);
+			assert.equal(body.code, "FORBIDDEN");
+		});
+	});
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import RolesPermissions from "../src/models/rolesPermissions.js";
+import { PolicyDocumentError } from "../src/models/policy.js";
+
+const load = (statements) => new RolesPermissions().loadDocument({
+	policies: [{ name: "policy", statements }],
+	roles: [{ name: "role", id: 1 }],
+	permissions: [{ role: "role", policy: "policy" }],
+});
+
+describe("RolesPermissions", () => {
+	it("matches the values of variables literally", () => {
+		const policies = load([{ effect: "Allow", action: "users:*", resource: "users/${user.username}" }]);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/bob", { user: { username: "bob" } }), true);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/alice", { user: { username: "*" } }), false);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/bob", { user: { username: "bo?" } }), false);
+	});
+
+	it("applies a Deny with a negated operator on a key missing from the context", () => {
+		const policies = load([
+			{ effect: "Allow", action: "*", resource: "*" },
+			{ effect: "Deny", action: "*", resource: "*", condition: { NotIpAddress: { "request.ip": "10.0.0.0/8" } } },
+		]);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/1", {}), false);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/1", { request: { ip: "10.1.2.3" } }), true);
+		assert.equal(policies.canPerformAction(1, "users:read", "users/1", { request: { ip: "192.168.0.1" } }), false);
+	});
+
+	it("rejects documents with unknown operators or invalid IP ranges", () => {
+		const document = (condition) => ({ policies: [{ name: "policy", statements: [{ effect: "Allow", action: "*", resource: "*", condition }] }] });
+		assert.throws(() => RolesPermissions.validateDocument(document({ StringEqualz: { "user.id": "1" } })), PolicyDocumentError);
+		assert.throws(() => RolesPermissions.validateDocument(document({ IpAddress: { "request.ip": "10.0.0.0/99" } })), PolicyDocumentError);
+		assert.doesNotThrow(() => RolesPermissions.validateDocument(document({ IpAddress: { "request.ip": ["10.0.0.0/8", "::1"] } })));
+	});
+});
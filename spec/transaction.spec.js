@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { FakeDatabase, authenticatedRows, startServer } from "./helpers.js";
+
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe("Request transactions", () => {
+	let server;
+	afterEach(() => server.close());
+
+	it("commits the writes of a successful request before answering, then releases the connection", async () => {
+		const database = new FakeDatabase(authenticatedRows);
+		server = await startServer(database);
+		const { status } = await server.request("POST", "/auth/add", { username: "bob", password: "secret" });
+		assert.equal(status, 201);
+		assert.ok(database.requestCalls().includes("commit"), "committed before the response was sent");
+		await settled();
+		assert.deepEqual(database.requestCalls().filter(call => call !== "execute"), ["begin", "commit", "release"]);
+	});
+
+	it("rolls back the request transaction of an error response", async () => {
+		const database = new FakeDatabase(sql => sql.startsWith("SELECT users.id FROM users") ? [{ id: 2 }] : authenticatedRows(sql));
+		server = await startServer(database);
+		const { status, body } = await server.request("POST", "/auth/add", { username: "bob", password: "secret" });
+		assert.equal(status, 409);
+		assert.equal(body.code, "CONFLICT");
+		await settled();
+		assert.deepEqual(database.requestCalls().filter(call => call !== "execute"), ["begin", "rollback", "release"]);
+	});
+
+	it("answers a 500 instead of the success when the commit fails", async () => {
+		const database = new FakeDatabase(authenticatedRows);
+		const acquireConnection = database.acquireConnection.bind(database);
+		database.acquireConnection = async (requestId) => {
+			const context = await acquireConnection(requestId);
+			context.connection.commit = async () => { throw new Error("Deadlock found when trying to get lock"); };
+			return context;
+		};
+		server = await startServer(database);
+		const { status, body } = await server.request("POST", "/auth/add", { username: "bob", password: "secret" });
+		assert.equal(status, 500);
+		assert.equal(body.code, "INTERNAL_ERROR");
+		await settled();
+		assert.deepEqual(database.requestCalls().filter(call => call !== "execute"), ["begin", "rollback", "release"]);
+	});
+
+	it("does not begin a transaction for routes that disable it", async () => {
+		const database = new FakeDatabase(authenticatedRows);
+		server = await startServer(database);
+		const { status } = await server.request("GET", "/auth/sessions");
+		assert.equal(status, 200);
+		await settled();
+		assert.deepEqual(database.requestCalls().filter(call => call !== "execute"), ["release"]);
+	});
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import Validator, { ValidationError } from "../src/managers/validation.js";
+import { FakeDatabase, authenticatedRows, startServer } from "./helpers.js";
+
+/**
+ * Runs the middleware of the schemas on a request.
+ * @returns {{request: Object, error: Error|undefined}}
+ */
+const run = (schemas, request) => {
+	let error;
+	Validator.validate(schemas)(request, {}, (value) => { error = value; });
+	return { request, error };
+};
+
+describe("Validator", () => {
+	it("coerces query and params strings to the type of their rule", () => {
+		const { request, error } = run({
+			params: { id: { type: "integer", required: true } },
+			query: { active: { type: "boolean" }, ids: { type: "array", items: { type: "integer" } }, since: { type: "date" }, role: { type: "integer", nullable: true } },
+		}, { params: { id: "12" }, query: { active: "false", ids: "1,2", since: "2024-07-26", role: "null" } });
+		assert.equal(error, undefined);
+		assert.deepEqual(request.params, { id: 12 });
+		assert.deepEqual(request.query, { active: false, ids: [1, 2], since: new Date("2024-07-26"), role: null });
+	});
+
+	it("does not coerce the body", () => {
+		const { error } = run({ body: { id: { type: "integer" } } }, { body: { id: "12" } });
+		assert.deepEqual(error.details, [{ location: "body", field: "id", message: "id must be a whole number." }]);
+	});
+
+	it("drops undeclared fields, trims strings and fills in defaults", () => {
+		const { request, error } = run({
+			body: { username: { type: "string", trim: true, required: true }, role_id: { type: "integer", nullable: true, default: null } },
+		}, { body: { username: " bob ", is_admin: true } });
+		assert.equal(error, undefined);
+		assert.deepEqual(request.body, { username: "bob", role_id: null });
+	});
+
+	it("reports every failing field at once with its location", () => {
+		const { request, error } = run({
+			params: { id: { type: "integer", min: 1 } },
+			body: {
+				username: { type: "string", required: true, minLength: 1 },
+				email: { type: "string", format: "email" },
+				status: { type: "string", enum: ["active", "disabled"] },
+				address: { type: "object", properties: { zip: { type: "string", required: true, pattern: /^\d{5}$/ } } },
+			},
+		}, { params: { id: "0" }, body: { email: "bob", status: "gone", address: { zip: "1" } } });
+		assert.ok(error instanceof ValidationError);
+		assert.equal(error.status, 400);
+		assert.equal(error.code, "VALIDATION_FAILED");
+		assert.deepEqual(error.details, [
+			{ location: "params", field: "id", message: "id must be at least 1." },
+			{ location: "body", field: "username", message: "username is required." },
+			{ location: "body", field: "email", message: "email must be a valid email." },
+			{ location: "body", field: "status", message: "status must be one of active, disabled." },
+			{ location: "body", field: "address.zip", message: "address.zip has an invalid format." },
+		]);
+		assert.deepEqual(request.params, { id: "0" }, "an invalid request is left as it is");
+	});
+
+	it("rejects unknown types and formats when the route is declared", () => {
+		assert.throws(() => Validator.validate({ body: { id: { type: "int" } } }), /Unknown validation type "int" of body\.id/);
+		assert.throws(() => Validator.validate({ query: { site: { type: "string", format: "ftp" } } }), /Unknown validation format "ftp"/);
+		assert.throws(() => Validator.validate({ headers: {} }), /Unknown validation location "headers"/);
+	});
+
+	describe("of routes", () => {
+		let server;
+		afterEach(() => server.close());
+
+		it("answers a 400 listing the invalid fields before the handler runs", async () => {
+			const database = new FakeDatabase(authenticatedRows);
+			server = await startServer(database);
+			const { status, body } = await server.request("PATCH", "/auth/edit/abc", { username: 5 });
+			assert.equal(status, 400);
+			assert.equal(body.code, "VALIDATION_FAILED");
+			assert.deepEqual(body.details, [
+				{ location: "params", field: "id", message: "id must be a whole number." },
+				{ location: "body", field: "username", message: "username must be a string." },
+			]);
+			assert.ok(!database.requestQueries().some(sql => sql.includes("FROM users")));
+		});
+	});
+});
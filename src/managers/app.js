@@ -2,6 +2,7 @@ import express from "express";
 import Logger from "./logger.js";
 import ConfigManager from "./config.js";
 import DatabaseManager from "./database.js";
+import Authentication from "./authentication.js";
 import RouteManager from "./route.js";
 import Model from "../models/index.js";
 /**
@@ -39,6 +40,12 @@ class App {
 	 */
 	#databaseConnection;
 
+	/**
+	 * @private {Authentication} authentication
+	 * @description Issues and verifies the access tokens of the application.
+	 */
+	#authentication;
+
 	/**
 	 * @private {RouteManager} routesManager
 	 * @description Holds the routes for the entire project/application.
@@ -51,12 +58,24 @@ class App {
 	 * @constructor
 	 */
 	constructor() {
-		this.#configManager = new ConfigManager();
+		this.#configManager = ConfigManager.shared();
 		this.logger = new Logger(this.#configManager.getConfig("log"));
+		this.#configManager.subscribe("log.level", (level) => this.logger.setLevel(level));
+		this.#configManager.watch({
+			onReload: (changes) => {
+				const restart = changes.filter((change) => ConfigManager.requiresRestart(change));
+				const applied = changes.filter((change) => !restart.includes(change));
+				if (applied.length > 0) this.logger.info("SYSTEM-CONFIG-INFO", `Configuration reloaded, changed: ${applied.join(", ")}.`);
+				if (restart.length > 0) this.logger.warn("SYSTEM-CONFIG-WARN", `Configuration changed, restart to apply: ${restart.join(", ")}.`);
+			},
+			onError: (error) => this.logger.error("SYSTEM-CONFIG-ERROR", `Configuration not reloaded, the last valid one is kept. ${error.message}`),
+			onSubscriberError: (error, keyPath) => this.logger.error("SYSTEM-CONFIG-ERROR", `Unable to apply the new value of "${keyPath}". ${error.message}`),
+		});
 		this.logger.info("SYSTEM-INITIALIZATION-INFO", "App class initialized.");
 		this.server = express();
 		this.#databaseConnection = new DatabaseManager(this.#configManager.getConfig("database"), this.logger);
-		this.#routesManager = new RouteManager(this.server, this.#databaseConnection, this.logger);
+		this.#authentication = new Authentication(this.#configManager.getConfig("auth"), this.logger, this.#databaseConnection);
+		this.#routesManager = new RouteManager(this.server, this.#databaseConnection, this.logger, this.#authentication, { exposeErrorStack: this.#configManager.getConfig("errors.exposeStack") });
 	}
 	/**
 	 * Starting the express server.
@@ -0,0 +1,253 @@
+import jsonwebtoken from "jsonwebtoken";
+import AuthModel from "../models/auth.js";
+import SessionModel from "../models/session.js";
+import PasswordHasher from "./password.js";
+import { UnauthorizedError } from "./errors.js";
+import ConfigManager from "./config.js";
+
+/**
+ * Authentication class.
+ * This class is responsible for issuing short-lived access tokens with server-side refresh tokens,
+ * and verifying the Bearer token of every request that is not listed in the public routes of the configuration.
+ * Access tokens carry the id of their session and are rejected once the session is revoked.
+ *
+ * Usage:
+ * const authentication = new Authentication(configManager.getConfig("auth"), logger, databaseManager);
+ * expressServer.use(authentication.middleware());
+ * const { token, refreshToken } = await authentication.issueTokens(user, request);
+ *
+ * @autor Darshan Ramjiyani
+ * @version 1.0.0
+ * @since 2024-07-26
+ */
+class Authentication {
+	/**
+	 * @private
+	 * @type {Object}
+	 * @description Holds the auth section of the configuration.
+	 */
+	#configs;
+
+	/**
+	 * @private
+	 * @type {Logger}
+	 * @description Holds the Logger instance for logging activities.
+	 */
+	#logger;
+
+	/**
+	 * @private
+	 * @type {DatabaseManager}
+	 * @description Holds the DatabaseManager instance used to store the sessions.
+	 */
+	#databaseManager;
+
+	/**
+	 * @public
+	 * @type {PasswordHasher}
+	 * @description Hashes and verifies the passwords of the users with the configured parameters.
+	 */
+	passwordHasher;
+
+	/**
+	 * Creates an instance of Authentication.
+	 *
+	 * @constructor
+	 * @param {object} configs - The auth configuration (secret, algorithm, issuer, audience, expiresIn, refreshTokenTtl, password, publicRoutes).
+	 * @param {Logger} loggerObject - An instance of a Logger class.
+	 * @param {DatabaseManager} databaseManager - An instance of the DatabaseManager class.
+	 * @throws {Error} If no secret is configured.
+	 */
+	constructor(configs, loggerObject, databaseManager) {
+		if (!configs?.secret) throw new Error("Authentication secret is not configured.");
+		this.#configs = {
+			algorithm: "HS256",
+			expiresIn: "15m",
+			refreshTokenTtl: 7 * 24 * 60 * 60,
+			publicRoutes: [],
+			...configs,
+		};
+		this.#logger = loggerObject;
+		this.#databaseManager = databaseManager;
+		this.passwordHasher = new PasswordHasher(this.#configs.password);
+	}
+
+	/**
+	 * Starts a new session for the user and issues its first access and refresh tokens.
+	 *
+	 * @param {{id: number, tenant_id: number, role_id: number}} user - The authenticated user.
+	 * @param {object} request - The Express request, used to record the client of the session.
+	 * @returns {Promise<{token: string, refreshToken: string, expiresAt: Date}>} The issued tokens.
+	 */
+	async issueTokens(user, request) {
+		const session = await new SessionModel(this.#databaseManager).create(user, this.#configs.refreshTokenTtl, {
+			userAgent: request.get("user-agent"),
+			ipAddress: request.ip,
+		});
+		return { token: this.sign(user, session.sessionId), refreshToken: session.refreshToken, expiresAt: session.expiresAt };
+	}
+
+	/**
+	 * Rotates a refresh token: the presented token is revoked and a new pair is issued in the same session.
+	 * Presenting a token that was already rotated or revoked revokes the whole session, as it was likely leaked.
+	 * Concurrent refreshes with the same token are reuse as well: only the one revoking the token gets new tokens.
+	 *
+	 * @param {string} refreshToken - The refresh token presented by the client.
+	 * @param {object} request - The Express request, used to record the client of the session.
+	 * @returns {Promise<{token: string, refreshToken: string, expiresAt: Date}|null>} The new tokens, or null if the token is not valid.
+	 */
+	async refresh(refreshToken, request) {
+		const sessionModel = new SessionModel(this.#databaseManager);
+		const current = await sessionModel.findByToken(refreshToken);
+		if (!current) return null;
+		if (current.revoked) return await this.#revokeReusedSession(current, request);
+		if (new Date(current.expires_at) <= new Date()) return null;
+		const user = await new AuthModel(this.#databaseManager, this.passwordHasher).getById(current.user_id);
+		if (!user) return null;
+		// Another refresh revoked the token since it was read.
+		const { affectedRows } = await sessionModel.revokeToken(current.id);
+		if (affectedRows === 0) return await this.#revokeReusedSession(current, request);
+		const session = await sessionModel.create(user, this.#configs.refreshTokenTtl, {
+			userAgent: request.get("user-agent"),
+			ipAddress: request.ip,
+			sessionId: current.session_id,
+		});
+		return { token: this.sign(user, session.sessionId), refreshToken: session.refreshToken, expiresAt: session.expiresAt };
+	}
+
+	/**
+	 * Issues an access token carrying only the claims needed to identify the user and its session.
+	 *
+	 * @param {{id: number, tenant_id: number, role_id: number}} user - The authenticated user.
+	 * @param {string} sessionId - The id of the session the token belongs to.
+	 * @returns {string} The signed access token.
+	 */
+	sign(user, sessionId) {
+		return jsonwebtoken.sign(
+			{ tenant_id: user.tenant_id, role_id: user.role_id, sid: sessionId },
+			this.#configs.secret,
+			{ ...this.#tokenOptions(), subject: String(user.id), algorithm: this.#configs.algorithm, expiresIn: this.#configs.expiresIn },
+		);
+	}
+
+	/**
+	 * Verifies an access token and returns the user it was issued for.
+	 *
+	 * @param {string} token - The access token.
+	 * @returns {{id: number, tenant_id: number, role_id: number, session_id: string}} The user of the token.
+	 * @throws {JsonWebTokenError} If the token is invalid, expired or issued for someone else.
+	 */
+	verify(token) {
+		const claims = jsonwebtoken.verify(token, this.#configs.publicKey || this.#configs.secret, {
+			...this.#tokenOptions(),
+			algorithms: [this.#configs.algorithm],
+		});
+		return { id: Number(claims.sub), tenant_id: claims.tenant_id, role_id: claims.role_id, session_id: claims.sid };
+	}
+
+	/**
+	 * Tells whether a route can be requested without a token.
+	 * Public routes are configured as "/path", "METHOD /path" or a prefix ending with "*".
+	 *
+	 * @param {string} method - The HTTP method of the request.
+	 * @param {string} path - The path of the request.
+	 * @returns {boolean} True if the route is public.
+	 */
+	isPublicRoute(method, path) {
+		return this.#configs.publicRoutes.some((route) => {
+			const [routeMethod, routePath] = route.includes(" ") ? route.split(" ") : [undefined, route];
+			if (routeMethod && routeMethod.toUpperCase() !== method.toUpperCase()) return false;
+			return routePath.endsWith("*") ? path.startsWith(routePath.slice(0, -1)) : path === routePath;
+		});
+	}
+
+	/**
+	 * Creates the middleware that verifies the Bearer token and its session, and attaches `request.user`.
+	 *
+	 * @returns {Function} Express middleware.
+	 */
+	middleware() {
+		return async (request, response, next) => {
+			if (this.isPublicRoute(request.method, request.path)) return next();
+			const [scheme, token] = (request.get("authorization") || "").split(" ");
+			if (scheme !== "Bearer" || !token) return next(new UnauthorizedError("Authentication token is required."));
+			let user;
+			try {
+				user = this.verify(token);
+			} catch (error) {
+				this.#logger.warn(request["__id"], `Access token rejected. Error: ${error.message}`);
+				return next(new UnauthorizedError("Invalid or expired authentication token."));
+			}
+			try {
+				// Checked outside of the request transaction so routes can still configure it.
+				const active = user.session_id && await this.#databaseManager.detached(() => new SessionModel(this.#databaseManager).isActive(user.session_id));
+				if (!active) {
+					this.#logger.warn(request["__id"], "Access token rejected. Error: session is revoked or expired.");
+					return next(new UnauthorizedError("Invalid or expired authentication token."));
+				}
+			} catch (error) {
+				return next(error);
+			}
+			// RouteManager binds the tenant of the user to the connection acquired afterwards.
+			request.user = user;
+			next();
+		};
+	}
+
+	/**
+	 * Revokes the session of a refresh token presented after it was rotated or revoked.
+	 *
+	 * @private
+	 * @param {{session_id: string}} token - The reused refresh token.
+	 * @param {object} request - The Express request.
+	 * @returns {Promise<null>} Always null, no tokens are issued.
+	 */
+	async #revokeReusedSession(token, request) {
+		this.#logger.warn(request["__id"], `Revoked refresh token reused, revoking session ${token.session_id}.`);
+		// Runs outside of the request transaction, which is rolled back by the error response.
+		await this.#databaseManager.detached(() => new SessionModel(this.#databaseManager).revokeSession(token.session_id));
+		return null;
+	}
+
+	/**
+	 * Returns the issuer/audience options shared by signing and verification.
+	 *
+	 * @private
+	 * @returns {Object} The jsonwebtoken options.
+	 */
+	#tokenOptions() {
+		const options = {};
+		if (this.#configs.issuer) options.issuer = this.#configs.issuer;
+		if (this.#configs.audience) options.audience = this.#configs.audience;
+		return options;
+	}
+}
+
+// scrypt only accepts a power of two as cost, up to 2^20 (1 GiB of memory with a block size of 8).
+const SCRYPT_COSTS = Array.from({ length: 11 }, (_, index) => 2 ** (index + 10));
+
+// Read once by the constructor, changes apply after a restart.
+ConfigManager.registerSection("auth", {
+	type: "object",
+	required: true,
+	restart: true,
+	properties: {
+		secret: { type: "string", required: true, min: 1 },
+		publicKey: { type: "string" },
+		algorithm: { type: "string", enum: ["HS256", "HS384", "HS512", "RS256", "RS384", "RS512", "ES256", "ES384", "ES512"], default: "HS256" },
+		issuer: { type: "string" },
+		audience: { type: "string" },
+		expiresIn: { type: "string", pattern: /^\d+\s*(ms|s|m|h|d|w|y)?$/, default: "15m" },
+		refreshTokenTtl: { type: "integer", min: 60, default: 7 * 24 * 60 * 60 },
+		password: {
+			cost: { type: "integer", enum: SCRYPT_COSTS },
+			blockSize: { type: "integer", min: 1 },
+			parallelization: { type: "integer", min: 1 },
+			keyLength: { type: "integer", min: 16 },
+			saltLength: { type: "integer", min: 8 },
+		},
+		publicRoutes: { type: "array", items: { type: "string", pattern: /^([A-Z]+ )?\/\S*$/ }, default: [] },
+	},
+});
+
+export default Authentication;
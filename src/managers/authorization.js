@@ -1,24 +1,228 @@
-// import { get } from "../models/permission.js";
+import PermissionModel from "../models/permission.js";
+import RolesPermissions from "../models/rolesPermissions.js";
+import { ForbiddenError, UnauthorizedError } from "./errors.js";
+
+/**
+ * Authorization class.
+ * This class is responsible for checking the permissions of a role on an app feature, from the
+ * roles_permissions table. The permissions of every role are cached in memory as a matrix
+ * (role id → feature key → permissions) and reloaded after `cacheTtl`. No route of the application changes
+ * roles_permissions, so changes made by the seeders or in the database apply within `cacheTtl`; a route that changes
+ * them has to call `invalidate()` once its response is sent, as PUT /policies does with `invalidateTenant()`.
+ * The policies of each tenant are cached the same way, as RolesPermissions instances attached to `request.policies`.
+ *
+ * Usage:
+ * routes.patch('/edit/:id', Authorization.requirePermission('users', 'edit'), handler);
+ * routes.get('/reports/:id', Authorization.requirePolicy('reports:read', (request) => `reports/${request.params.id}`), handler);
+ *
+ * @autor Darshan Ramjiyani
+ * @version 2.0.0
+ * @since 2024-07-26
+ */
 class Authorization {
+	/**
+	 * @static
+	 * @type {Array<string>}
+	 * @description Permissions a route can require, each maps to the `<permission>_access` column.
+	 */
+	static PERMISSIONS = ["read", "write", "edit", "delete"];
+
+	/**
+	 * @private
+	 * @type {Map<number, Map<string, Set<string>>>}
+	 * @description Holds the permissions of every role by feature key.
+	 */
 	#rolePermissions;
 
-	constructor() { }
+	/**
+	 * @private
+	 * @type {number}
+	 * @description Time the matrix was loaded at, in milliseconds.
+	 */
+	#loadedAt = 0;
+
+	/**
+	 * @private
+	 * @type {Promise<void>}
+	 * @description Holds the load in progress, so concurrent requests share one query.
+	 */
+	#loading;
 
+	/**
+	 * @private
+	 * @type {Map<number, {loadedAt: number, loading: Promise<RolesPermissions>}>}
+	 * @description Holds the policies of every tenant loaded so far.
+	 */
+	#tenantPolicies = new Map();
+
+	#databaseManager;
+	#logger;
+	#cacheTtl;
+
+	/**
+	 * Creates an instance of Authorization.
+	 *
+	 * @constructor
+	 * @param {DatabaseManager} databaseManager - An instance of the DatabaseManager class.
+	 * @param {Logger} loggerObject - An instance of a Logger class.
+	 * @param {number} [cacheTtl=60000] - Time in milliseconds the permissions are cached for.
+	 */
+	constructor(databaseManager, loggerObject, cacheTtl = 60000) {
+		this.#databaseManager = databaseManager;
+		this.#logger = loggerObject;
+		this.#cacheTtl = cacheTtl;
+	}
+
+	/**
+	 * Loads the permissions of every role into the matrix.
+	 * The query runs outside of the request transaction, the cache is shared by all requests.
+	 * @private
+	 */
 	async #fetchPermissionsByRoles() {
-		this.#rolePermissions = await get(undefined);
+		const rows = await this.#databaseManager.detached(() => new PermissionModel(this.#databaseManager).getAll());
+		const rolePermissions = new Map();
+		for (const row of rows) {
+			if (!rolePermissions.has(row.role_id)) rolePermissions.set(row.role_id, new Map());
+			const features = rolePermissions.get(row.role_id);
+			if (!features.has(row.feature_key)) features.set(row.feature_key, new Set());
+			for (const permission of Authorization.PERMISSIONS) {
+				if (row[`${permission}_access`]) features.get(row.feature_key).add(permission);
+			}
+		}
+		this.#rolePermissions = rolePermissions;
+		this.#loadedAt = Date.now();
+		this.#logger.info("SYS", `Permissions of ${rolePermissions.size} roles loaded.`);
+	}
+
+	/**
+	 * Makes sure the matrix is loaded and not older than the cache ttl.
+	 * @private
+	 */
+	async #ensureLoaded() {
+		if (this.#rolePermissions && Date.now() - this.#loadedAt < this.#cacheTtl) return;
+		this.#loading ??= this.#fetchPermissionsByRoles().finally(() => { this.#loading = undefined; });
+		await this.#loading;
+	}
+
+	/**
+	 * Drops the cached permissions, the next check reloads them.
+	 * Call it once a change of roles_permissions, users_roles or app_features is committed:
+	 * `response.on("finish", () => request.__authorization.invalidate())`.
+	 */
+	invalidate() {
+		this.#rolePermissions = undefined;
+		this.#loadedAt = 0;
+	}
+
+	/**
+	 * Returns the policies of a tenant, loaded from the database at most once per cache ttl.
+	 * @param {number} tenantId - The ID of the tenant.
+	 * @returns {Promise<RolesPermissions>} The policies of the tenant, attached to its role ids.
+	 */
+	async getTenantPolicies(tenantId) {
+		const cached = this.#tenantPolicies.get(tenantId);
+		if (cached && Date.now() - cached.loadedAt < this.#cacheTtl) return await cached.loading;
+		const loading = this.#databaseManager.detached(() => new RolesPermissions().loadTenantPolicies(tenantId, this.#databaseManager));
+		this.#tenantPolicies.set(tenantId, { loadedAt: Date.now(), loading });
+		try {
+			return await loading;
+		} catch (error) {
+			if (this.#tenantPolicies.get(tenantId)?.loading === loading) this.#tenantPolicies.delete(tenantId);
+			throw error;
+		}
+	}
+
+	/**
+	 * Drops the cached policies of a tenant, the next request reloads them.
+	 * @param {number} tenantId - The ID of the tenant.
+	 */
+	invalidateTenant(tenantId) {
+		this.#tenantPolicies.delete(tenantId);
+	}
+
+	/**
+	 * Creates the middleware that attaches the policies of the tenant of the user to `request.policies`.
+	 *
+	 * @returns {Function} Express middleware.
+	 */
+	middleware() {
+		return async (request, response, next) => {
+			if (!request.user) return next();
+			try {
+				request.policies = await this.getTenantPolicies(request.user.tenant_id);
+				next();
+			} catch (error) {
+				next(error);
+			}
+		};
 	}
 
 	/**
 	 * Authorize user based on their role, module, and required permission.
-	 * @param {string} userRole - Role of the user making the request
-	 * @param {string} moduleName - Module being accessed
-	 * @param {string} requiredPermission - Permission required for the route
-	 * @returns {boolean} True if authorized, false otherwise
-	 */
-	authorize(userRole, moduleName, requiredPermission) {
-		const permissions = this.#rolePermissions[userRole]?.[moduleName];
-		if (!permissions) return false; // User role or module not
-		return permissions.includes(requiredPermission);
+	 * @param {number} userRole - Role id of the user making the request
+	 * @param {string} moduleName - Feature key of the module being accessed
+	 * @param {string} requiredPermission - Permission required for the route (read, write, edit or delete)
+	 * @returns {Promise<boolean>} True if authorized, false otherwise
+	 */
+	async authorize(userRole, moduleName, requiredPermission) {
+		await this.#ensureLoaded();
+		const permissions = this.#rolePermissions.get(userRole)?.get(moduleName);
+		if (!permissions) return false; // User role or module not found.
+		return permissions.has(requiredPermission);
+	}
+
+	/**
+	 * Creates a route middleware that answers 403 unless the role of the user has the permission on the feature.
+	 *
+	 * @static
+	 * @param {string} moduleName - Feature key of the module, as in app_features.
+	 * @param {string} requiredPermission - One of `Authorization.PERMISSIONS`.
+	 * @returns {Function} Express middleware.
+	 */
+	static requirePermission(moduleName, requiredPermission) {
+		if (!Authorization.PERMISSIONS.includes(requiredPermission))
+			throw new Error(`Invalid permission "${requiredPermission}", expected one of ${Authorization.PERMISSIONS.join(", ")}.`);
+		return async (request, response, next) => {
+			try {
+				if (!request.user) return next(new UnauthorizedError("Authentication token is required."));
+				if (!(await request["__authorization"].authorize(request.user.role_id, moduleName, requiredPermission))) {
+					request["__loggerInstance"].warn(request["__id"], `Role ${request.user.role_id} is missing "${requiredPermission}" permission on "${moduleName}".`);
+					return next(new ForbiddenError());
+				}
+				next();
+			} catch (error) {
+				next(error);
+			}
+		};
+	}
+
+	/**
+	 * Creates a route middleware that answers 403 unless the policies of the tenant allow the role of the user
+	 * to perform the action on the resource.
+	 * It is opt-in: nothing is allowed without a policy and a tenant starts without any, so the built-in routes are
+	 * only guarded by `requirePermission` (PUT /policies included, else no tenant could import its first document).
+	 * Add it after `requirePermission` on the routes a tenant restricts with its own statements.
+	 *
+	 * @static
+	 * @param {string} action - The action, e.g. users:edit.
+	 * @param {string|Function} resource - The resource, or a function returning it from the request.
+	 * @returns {Function} Express middleware.
+	 */
+	static requirePolicy(action, resource) {
+		return (request, response, next) => {
+			if (!request.user) return next(new UnauthorizedError("Authentication token is required."));
+			const context = {
+				user: request.user,
+				params: request.params,
+				request: { ip: request.ip, method: request.method, path: request.path, time: new Date() },
+			};
+			const target = typeof resource === "function" ? resource(request) : resource;
+			if (!request.policies?.canPerformAction(request.user.role_id, action, target, context)) {
+				request["__loggerInstance"].warn(request["__id"], `Role ${request.user.role_id} is not allowed to "${action}" on "${target}".`);
+				return next(new ForbiddenError());
+			}
+			next();
+		};
 	}
 }
 
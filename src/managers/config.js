@@ -1,50 +1,339 @@
 import fs from "fs";
+import path from "path";
 
 /**
  * Configuration Manager class.
  * This class is responsible for loading and validating configuration files.
  *
+ * The configuration file holds one section per environment (local, staging, production...). The section used is
+ * named by the APP_ENV environment variable, else the `env` key of the file, else NODE_ENV. NODE_ENV comes last
+ * because tooling often sets it (development, production) without the file having such a section.
+ * Any key of that section can be overridden by an environment variable named `APP_` followed by its path,
+ * the levels separated by `__`: `APP_PORT=8080`, `APP_DATABASE__PASSWORD=secret`, `APP_AUTH__PASSWORD__COST=32768`.
+ * Values are converted to the type of the key, arrays are given as JSON or comma separated.
+ * Variables are also read from a `.env` file next to the configuration file, without replacing the ones already set,
+ * so secrets such as the JWT secret and the database password can stay out of config.json.
+ *
+ * The keys of a section are described by a schema. Subsystems register the schema of their own key with
+ * `ConfigManager.registerSection()` when their module is loaded; keys no subsystem registered are kept unchecked.
+ * Only the selected section is validated, every problem found is reported at once with its full path.
+ *
+ * Schema rules:
+ * - type: string, number, integer, boolean, array or object. `"number"` is short for `{ type: "number" }`
+ *   and an object without type is short for `{ type: "object", properties: { ... } }`.
+ * - required: the key has to be set. default: the value of a key that is not set.
+ * - enum: the accepted values. min/max: bounds of a number, or of the length of a string or an array.
+ * - pattern: RegExp a string has to match. items: rule of the items of an array. properties: keys of an object.
+ * - restart: the key is only read on startup, a reload changing it does not apply until a restart (see `requiresRestart()`).
+ *
+ * `ConfigManager.shared()` returns one cached instance per file for the whole process. Once `watch()` is called the
+ * file (and its `.env`) are read again when they change: a valid new configuration replaces the current one and the
+ * subscribers of the changed keys are called, an invalid one is reported and the last good configuration is kept.
+ *
  * Usage:
- * const configManager = new ConfigManager('./config.json');
+ * ConfigManager.registerSection("rateLimit", { windowMs: { type: "integer", min: 1, default: 60000 } });
+ * const configManager = ConfigManager.shared();
+ * configManager.environment; // 'production' when started with APP_ENV=production
+ * configManager.watch({ onError: (error) => logger.error("CONFIG", error.message) });
+ * configManager.subscribe("log.level", (level) => logger.setLevel(level));
  *
  * @autor Darshan Ramjiyani
- * @version 2.0.0
+ * @version 5.0.0
  * @since 2024-07-26
  */
 class ConfigManager {
+  /**
+   * @static
+   * @type {string}
+   * @description Prefix of the environment variables overriding configuration keys.
+   */
+  static ENV_PREFIX = "APP_";
+
+  /**
+   * @static
+   * @type {string}
+   * @description Separator of the levels of a key path in an environment variable name.
+   */
+  static ENV_SEPARATOR = "__";
+
+  /**
+   * @static
+   * @type {Array<string>}
+   * @description Variables using the prefix that select the environment instead of overriding a key.
+   */
+  static RESERVED_VARIABLES = ["APP_ENV"];
+
+  /**
+   * @static
+   * @type {Array<string>}
+   * @description Types a schema rule can have.
+   */
+  static TYPES = ["string", "number", "integer", "boolean", "array", "object"];
+
+  /**
+   * @static
+   * @private
+   * @type {Object<string, Object>}
+   * @description Normalized rule of each registered key of an environment section.
+   */
+  static #sections = {};
+
+  /**
+   * @static
+   * @private
+   * @type {Map<string, ConfigManager>}
+   * @description Shared instances by the resolved path of their file.
+   */
+  static #instances = new Map();
+
+  /**
+   * @static
+   * @type {number}
+   * @description Milliseconds to wait after a change of the file before reading it, editors write in several steps.
+   */
+  static WATCH_DELAY = 100;
+
   #config;
+  #environment;
+  #env;
+  #envFileKeys = new Set();
+  #subscriptions = new Set();
+  #watcher;
+  #reloadTimer;
 
   /**
    * Creates an instance of ConfigManager.
    *
    * @constructor
    * @param {string} configFilePath - The path to the configuration file.
+   * @param {Object} [options]
+   * @param {Object} [options.env=process.env] - The environment variables, `.env` variables are added to it.
+   * @param {string} [options.envFilePath] - The path to the `.env` file, next to the configuration file by default.
    */
-  constructor(configFilePath = "./config.json") {
+  constructor(configFilePath = "./config.json", { env = process.env, envFilePath = path.join(path.dirname(configFilePath), ".env") } = {}) {
     this.configFilePath = configFilePath;
-    this.#loadConfig();
-    this.allowedKeys = {
-      env: "string",
-      local: {
-        host: "string",
-        url: "string",
-        port: "number",
-        database: {
-          host: "string",
-          user: "string",
-          password: "string",
-          database: "string",
-          port: "number",
-          waitForConnections: "boolean",
-          connectionLimit: "number",
-          queueLimit: "number",
-        },
-        log: {
-          directory: "string",
-        },
-      },
+    this.envFilePath = envFilePath;
+    this.#env = env;
+    this.#load();
+  }
+
+  /**
+   * Returns the instance shared by the whole process for a configuration file, created on the first call.
+   *
+   * @static
+   * @param {string} [configFilePath="./config.json"] - The path to the configuration file.
+   * @param {Object} [options] - Options of the constructor, only used when the instance is created.
+   * @returns {ConfigManager}
+   */
+  static shared(configFilePath = "./config.json", options) {
+    const key = path.resolve(configFilePath);
+    if (!ConfigManager.#instances.has(key)) ConfigManager.#instances.set(key, new ConfigManager(configFilePath, options));
+    return ConfigManager.#instances.get(key);
+  }
+
+  /**
+   * Registers the schema of a key of the environment sections, for a subsystem to declare its configuration.
+   *
+   * @static
+   * @param {string} name - The key, e.g. "database".
+   * @param {Object|string} schema - The rule of the key, see the schema rules.
+   * @throws {Error} - Throws an error if the key is already registered or the schema is invalid.
+   */
+  static registerSection(name, schema) {
+    if (Object.hasOwn(ConfigManager.#sections, name)) throw new Error(`Config section "${name}" is already registered.`);
+    ConfigManager.#sections[name] = ConfigManager.#normalize(schema, name);
+  }
+
+  /**
+   * Tells whether the change of a key path only applies after a restart, because a rule on its path has `restart`.
+   *
+   * @static
+   * @param {string} keyPath - The dot-separated key path, as reported by `reload()`.
+   * @returns {boolean}
+   */
+  static requiresRestart(keyPath) {
+    let rule = ConfigManager.schema;
+    for (const key of keyPath.split(".")) {
+      const match = Object.keys(rule.properties ?? {}).find((candidate) => candidate.toLowerCase() === key.toLowerCase());
+      if (match === undefined) return false;
+      rule = rule.properties[match];
+      if (rule.restart) return true;
+    }
+    return false;
+  }
+
+  /**
+   * The rule of every registered key, as an object rule.
+   *
+   * @static
+   * @returns {Object}
+   */
+  static get schema() {
+    return { type: "object", properties: { ...ConfigManager.#sections } };
+  }
+
+  /**
+   * Name of the environment section in use.
+   *
+   * @returns {string}
+   */
+  get environment() {
+    return this.#environment;
+  }
+
+  /**
+   * Reads the `.env` file and the configuration file again.
+   * When the new configuration is invalid the current one is kept, with the variables of the previous `.env` file,
+   * and the error is thrown. Otherwise the subscribers of every changed key are called.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onSubscriberError] - Called with the error and the key path of each failing subscriber.
+   * @returns {Array<string>} - Paths of the keys that changed.
+   * @throws {ConfigError} - Throws an error if the new configuration can not be loaded.
+   * @throws {AggregateError} - Throws the errors of the subscribers when no `onSubscriberError` is given, the new configuration is in use.
+   */
+  reload({ onSubscriberError } = {}) {
+    const previous = {
+      config: this.#config,
+      environment: this.#environment,
+      envFile: new Map([...this.#envFileKeys].map((key) => [key, this.#env[key]])),
     };
-    this.validateConfig(this.#config, this.allowedKeys);
+    try {
+      this.#load();
+    } catch (error) {
+      for (const key of this.#envFileKeys) delete this.#env[key];
+      for (const [key, value] of previous.envFile) this.#env[key] = value;
+      this.#envFileKeys = new Set(previous.envFile.keys());
+      this.#config = previous.config;
+      this.#environment = previous.environment;
+      throw error;
+    }
+    const changes = this.#diff(previous.config[previous.environment], this.#config[this.#environment]);
+    if (changes.length === 0) return changes;
+    const errors = [];
+    this.#notify(changes, previous.config[previous.environment], onSubscriberError ?? ((error) => errors.push(error)));
+    if (errors.length > 0) throw new AggregateError(errors, "Configuration subscribers failed.");
+    return changes;
+  }
+
+  /**
+   * Watches the configuration file and its `.env` file, and reloads them when they change.
+   * The watcher does not keep the process alive.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onError] - Called with the error when a changed configuration is invalid.
+   * @param {Function} [options.onReload] - Called with the changed key paths after a successful reload.
+   * @param {Function} [options.onSubscriberError] - Called with the error and the key path of a failing subscriber.
+   * @returns {ConfigManager} - This instance, for chaining.
+   */
+  watch({ onError = () => {}, onReload = () => {}, onSubscriberError = () => {} } = {}) {
+    if (this.#watcher) return this;
+    const files = [this.configFilePath, this.envFilePath].filter(Boolean).map((file) => path.basename(file));
+    // The directory is watched, editors often replace the file instead of writing to it.
+    this.#watcher = fs.watch(path.dirname(path.resolve(this.configFilePath)), (event, filename) => {
+      if (!files.includes(filename)) return;
+      clearTimeout(this.#reloadTimer);
+      this.#reloadTimer = setTimeout(() => {
+        let changes;
+        try {
+          changes = this.reload({ onSubscriberError });
+        } catch (error) {
+          return onError(error);
+        }
+        if (changes.length > 0) onReload(changes);
+      }, ConfigManager.WATCH_DELAY);
+      this.#reloadTimer.unref();
+    });
+    this.#watcher.unref();
+    return this;
+  }
+
+  /**
+   * Stops watching the configuration file.
+   */
+  unwatch() {
+    clearTimeout(this.#reloadTimer);
+    this.#watcher?.close();
+    this.#watcher = undefined;
+  }
+
+  /**
+   * Calls a function each time a reload changes the value of a key path, or of a key below or above it.
+   *
+   * @param {string} keyPath - The dot-separated key path, e.g. "database.connectionLimit", matched without case like `getConfig()`.
+   *   An empty path follows the whole section.
+   * @param {Function} callback - Called with the new and the previous value of the key path.
+   * @returns {Function} - Removes the subscription.
+   */
+  subscribe(keyPath, callback) {
+    const subscription = { keyPath: keyPath ? keyPath.split(".") : [], callback };
+    this.#subscriptions.add(subscription);
+    return () => this.#subscriptions.delete(subscription);
+  }
+
+  /**
+   * Loads the `.env` file and the configuration file, selects and validates the environment section.
+   * @private
+   */
+  #load() {
+    this.#loadEnvFile(this.#env);
+    this.#loadConfig();
+    this.#environment = this.#selectEnvironment(this.#env);
+    this.#applyEnvOverrides(this.#env);
+    this.#config[this.#environment] = this.validateConfig(this.#config[this.#environment], this.#environment);
+  }
+
+  /**
+   * Lists the paths of the keys whose value differs between two configurations.
+   * @private
+   */
+  #diff(previous, next, keyPath = []) {
+    if (this.#isObject(previous) && this.#isObject(next)) {
+      const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+      return [...keys].flatMap((key) => this.#diff(previous[key], next[key], [...keyPath, key]));
+    }
+    return JSON.stringify(previous) === JSON.stringify(next) ? [] : [keyPath.join(".")];
+  }
+
+  /**
+   * Calls the subscribers of the changed keys, a failing subscriber does not stop the others.
+   * @private
+   */
+  #notify(changes, previous, onSubscriberError) {
+    const changed = changes.map((change) => change.split("."));
+    for (const { keyPath, callback } of this.#subscriptions) {
+      const related = changed.some((change) => {
+        const length = Math.min(change.length, keyPath.length);
+        return change.slice(0, length).join(".").toLowerCase() === keyPath.slice(0, length).join(".").toLowerCase();
+      });
+      if (!related) continue;
+      try {
+        callback(this.#resolve(this.#config[this.#environment], keyPath), this.#resolve(previous, keyPath));
+      } catch (error) {
+        onSubscriberError(error, keyPath.join("."));
+      }
+    }
+  }
+
+  /**
+   * Returns the value of a key path of a section, undefined when missing.
+   * @private
+   */
+  #resolve(section, keyPath) {
+    return keyPath.reduce((value, key) => {
+      const match = this.#findKey(value, key);
+      return match === undefined ? undefined : value[match];
+    }, section);
+  }
+
+  /**
+   * Returns the key of an object a key path segment names: the same key, else the one equal without case.
+   * @private
+   */
+  #findKey(object, key) {
+    if (!this.#isObject(object)) return undefined;
+    if (Object.hasOwn(object, key)) return key;
+    return Object.keys(object).find((candidate) => candidate.toLowerCase() === key.toLowerCase());
   }
 
   /**
@@ -59,41 +348,237 @@ class ConfigManager {
       throw new ConfigFileNotFoundError(this.configFilePath);
     }
     this.#config = JSON.parse(fs.readFileSync(this.configFilePath, "utf-8"));
+    if (!this.#isObject(this.#config)) {
+      throw new InvalidConfigError(`Invalid configuration in ${this.configFilePath}, expected an object of environments.`);
+    }
+    if (this.#config.env !== undefined && typeof this.#config.env !== "string") {
+      throw new InvalidConfigError(`Invalid configuration, "env" must be a string.`);
+    }
+  }
+
+  /**
+   * Adds the variables of the `.env` file to the environment variables, the ones already set are kept.
+   * Lines are `KEY=value`, optionally prefixed with `export`; `#` starts a comment and values can be quoted.
+   *
+   * @param {Object} env - The environment variables.
+   * @private
+   */
+  #loadEnvFile(env) {
+    // On reload, the variables removed from the file since are removed from the environment too.
+    for (const key of this.#envFileKeys) delete env[key];
+    this.#envFileKeys.clear();
+    if (!this.envFilePath || !fs.existsSync(this.envFilePath)) return;
+    const lines = fs.readFileSync(this.envFilePath, "utf-8").split(/\r?\n/);
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim() || line.trim().startsWith("#")) continue;
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (!match) {
+        throw new InvalidConfigError(`Invalid line ${index + 1} in ${this.envFilePath}.`);
+      }
+      const [, key, raw] = match;
+      let value = raw;
+      const quoted = raw.match(/^(["'])(.*)\1$/);
+      if (quoted) {
+        value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, "\n").replace(/\\(["\\])/g, "$1") : quoted[2];
+      } else {
+        value = raw.replace(/\s+#.*$/, "");
+      }
+      if (env[key] !== undefined) continue;
+      env[key] = value;
+      this.#envFileKeys.add(key);
+    }
   }
 
   /**
-   * Recursively validates an object against allowed keys.
+   * Selects the environment section from APP_ENV, the `env` key of the file or NODE_ENV.
    *
-   * @param {Object} config - The object to validate.
-   * @param {Object} allowedKeys - The allowed keys schema.
-   * @param {string} [path=''] - The current path in the object hierarchy.
-   * @throws {InvalidConfigError} - Throws an error if an invalid key is found or if a key has an incorrect type.
+   * @param {Object} env - The environment variables.
+   * @returns {string} - The name of the section.
+   * @throws {InvalidConfigError} - Throws an error if no environment is given or its section is missing.
    * @private
    */
-  validateConfig(config, allowedKeys, path = "") {
-    for (const key in config) {
-      const fullPath = path ? `${path}.${key}` : key;
+  #selectEnvironment(env) {
+    const environment = env.APP_ENV || this.#config.env || env.NODE_ENV;
+    if (!environment) {
+      throw new InvalidConfigError('No environment selected, set APP_ENV, the "env" key of the configuration or NODE_ENV.');
+    }
+    if (environment === "env" || !this.#isObject(this.#config[environment])) {
+      const sections = Object.keys(this.#config).filter((key) => key !== "env");
+      throw new InvalidConfigError(
+        `Environment "${environment}" is not defined in configuration. Defined environments: ${sections.join(", ") || "none"}.`,
+      );
+    }
+    return environment;
+  }
+
+  /**
+   * Overrides the keys of the selected section with the `APP_` environment variables.
+   * Variables that do not name a registered key are ignored, platforms set some of their own (APP_NAME, APP_VERSION...).
+   *
+   * @param {Object} env - The environment variables.
+   * @throws {InvalidConfigError} - Throws an error if a variable names a section or has a value of the wrong type.
+   * @private
+   */
+  #applyEnvOverrides(env) {
+    const section = this.#config[this.#environment];
+    for (const [variable, value] of Object.entries(env)) {
+      if (!variable.startsWith(ConfigManager.ENV_PREFIX) || ConfigManager.RESERVED_VARIABLES.includes(variable)) continue;
+      const names = variable.slice(ConfigManager.ENV_PREFIX.length).split(ConfigManager.ENV_SEPARATOR);
+      let rule = ConfigManager.schema;
+      const keyPath = [];
+      for (const name of names) {
+        // Variable names are upper case, keys are matched without case and underscores (REFRESH_TOKEN_TTL → refreshTokenTtl).
+        const key = Object.keys(rule.properties ?? {}).find((candidate) => this.#envName(candidate) === this.#envName(name));
+        if (key === undefined) break;
+        keyPath.push(key);
+        rule = rule.properties[key];
+      }
+      if (keyPath.length < names.length) continue;
+      if (rule.type === "object") {
+        throw new InvalidConfigError(`Invalid environment variable "${variable}", "${keyPath.join(".")}" is a section and can not be overridden as a whole.`);
+      }
+      let target = section;
+      for (const key of keyPath.slice(0, -1)) {
+        if (!this.#isObject(target[key])) target[key] = {};
+        target = target[key];
+      }
+      target[keyPath.at(-1)] = this.#parseEnvValue(value, rule.type, variable);
+    }
+  }
 
-      if (!(key in allowedKeys)) {
-        throw new InvalidConfigError(
-          `Invalid key "${fullPath}" in configuration.`,
-        );
+  /**
+   * Converts the value of an environment variable to the type of its key.
+   * @private
+   */
+  #parseEnvValue(value, type, variable) {
+    switch (type) {
+      case "number":
+      case "integer": {
+        const number = Number(value);
+        if (value.trim() === "" || !Number.isFinite(number)) {
+          throw new InvalidConfigError(`Invalid value for environment variable "${variable}". Expected a number.`);
+        }
+        return number;
       }
+      case "boolean":
+        if (["true", "1"].includes(value.toLowerCase())) return true;
+        if (["false", "0"].includes(value.toLowerCase())) return false;
+        throw new InvalidConfigError(`Invalid value for environment variable "${variable}". Expected true or false.`);
+      case "array":
+        if (value.trim().startsWith("[")) {
+          try {
+            const array = JSON.parse(value);
+            if (Array.isArray(array)) return array;
+          } catch (error) {
+            // Reported below.
+          }
+          throw new InvalidConfigError(`Invalid value for environment variable "${variable}". Expected a JSON array.`);
+        }
+        return value.split(",").map((item) => item.trim()).filter(Boolean);
+      default:
+        return value;
+    }
+  }
 
-      const expectedType = allowedKeys[key];
-      const actualValue = config[key];
-      const actualType = Array.isArray(actualValue)
-        ? "array"
-        : typeof actualValue;
-
-      if (typeof expectedType === "object" && actualType === "object") {
-        this.validateConfig(actualValue, expectedType, fullPath);
-      } else if (expectedType !== actualType) {
-        throw new InvalidConfigError(
-          `Invalid type for key "${fullPath}". Expected "${expectedType}" but got "${actualType}".`,
-        );
+  /**
+   * @private
+   */
+  #envName(key) {
+    return key.replace(/_/g, "").toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  #isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Validates an environment section against the registered schema and fills in the defaults.
+   * Keys no subsystem registered are kept as they are.
+   *
+   * @param {Object} config - The environment section.
+   * @param {string} [path=''] - The path of the section, prefixed to the reported keys.
+   * @returns {Object} - The section with its defaults.
+   * @throws {InvalidConfigError} - Throws an error listing every invalid, missing or unknown key.
+   */
+  validateConfig(config, path = "") {
+    const errors = [];
+    const section = { ...config };
+    for (const [key, rule] of Object.entries(ConfigManager.#sections)) {
+      const value = this.#check(rule, config[key], path ? `${path}.${key}` : key, errors);
+      if (value === undefined) delete section[key];
+      else section[key] = value;
+    }
+    if (errors.length > 0) {
+      throw new InvalidConfigError(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join("\n")}`, errors);
+    }
+    return section;
+  }
+
+  /**
+   * Checks a value against its rule, adds the problems to errors and returns the value with its defaults.
+   * @private
+   */
+  #check(rule, value, path, errors) {
+    if (value === undefined || value === null) {
+      if (rule.default !== undefined) return structuredClone(rule.default);
+      if (rule.type === "object" && rule.properties) {
+        // A missing object still reports its required keys and gets the defaults of its keys.
+        const errorCount = errors.length;
+        const object = this.#check(rule, {}, path, errors);
+        if (Object.keys(object).length > 0) return object;
+        if (rule.required && errors.length === errorCount) errors.push(`"${path}" is required.`);
+        return undefined;
+      }
+      if (rule.required) errors.push(`"${path}" is required.`);
+      return undefined;
+    }
+    const actualType = Array.isArray(value) ? "array" : typeof value;
+    const valid = rule.type === "integer" ? Number.isInteger(value) : rule.type === "number" ? Number.isFinite(value) : actualType === rule.type;
+    if (!valid) {
+      errors.push(`"${path}" must be ${rule.type === "integer" || rule.type === "array" || rule.type === "object" ? "an" : "a"} ${rule.type}, got ${actualType}.`);
+      return value;
+    }
+    if (rule.enum && !rule.enum.includes(value)) errors.push(`"${path}" must be one of ${rule.enum.map((item) => JSON.stringify(item)).join(", ")}.`);
+    const size = typeof value === "number" ? value : value.length;
+    const unit = (bound) => typeof value === "number" ? "" : `${rule.type === "array" ? " item" : " character"}${bound === 1 ? "" : "s"}`;
+    if (rule.min !== undefined && size < rule.min) errors.push(`"${path}" must be at least ${rule.min}${unit(rule.min)}.`);
+    if (rule.max !== undefined && size > rule.max) errors.push(`"${path}" must be at most ${rule.max}${unit(rule.max)}.`);
+    if (rule.pattern && !rule.pattern.test(value)) errors.push(`"${path}" must match ${rule.pattern}.`);
+    if (rule.type === "array" && rule.items) {
+      return value.map((item, index) => this.#check({ ...rule.items, required: true }, item, `${path}[${index}]`, errors));
+    }
+    if (rule.type === "object" && rule.properties) {
+      const object = {};
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(rule.properties, key)) errors.push(`"${path}.${key}" is not a configuration key.`);
+      }
+      for (const [key, property] of Object.entries(rule.properties)) {
+        const propertyValue = this.#check(property, value[key], `${path}.${key}`, errors);
+        if (propertyValue !== undefined) object[key] = propertyValue;
       }
+      return object;
+    }
+    return value;
+  }
+
+  /**
+   * Expands the shorthands of a schema and checks its rules.
+   * @private
+   */
+  static #normalize(schema, path) {
+    const rule = typeof schema === "string" ? { type: schema }
+      : schema && typeof schema === "object" && typeof schema.type !== "string" ? { type: "object", properties: schema }
+      : { ...schema };
+    if (!ConfigManager.TYPES.includes(rule.type)) throw new Error(`Invalid config schema type "${rule.type}" of "${path}".`);
+    if (rule.pattern !== undefined && !(rule.pattern instanceof RegExp)) throw new Error(`The pattern of "${path}" must be a RegExp.`);
+    if (rule.items) rule.items = ConfigManager.#normalize(rule.items, `${path}[]`);
+    if (rule.properties) {
+      rule.properties = Object.fromEntries(Object.entries(rule.properties).map(([key, property]) => [key, ConfigManager.#normalize(property, `${path}.${key}`)]));
     }
+    return rule;
   }
 
   /**
@@ -104,12 +589,12 @@ class ConfigManager {
    * @throws {InvalidConfigError} - Throws an error if the key path is invalid.
    */
   getConfig(keyPath) {
-    if (!keyPath) return this.#config[this.#config["env"]];
-    const keys = keyPath.split(".").map((e) => e.toLowerCase());
-    let result = this.#config[this.#config["env"]];
-    for (const key of keys) {
-      if (result && result.hasOwnProperty(key)) result = result[key];
-      else throw new InvalidConfigError(`'${key}' is invalid key for config.`);
+    if (!keyPath) return this.#config[this.#environment];
+    let result = this.#config[this.#environment];
+    for (const key of keyPath.split(".")) {
+      const match = this.#findKey(result, key);
+      if (match === undefined) throw new InvalidConfigError(`'${key}' is invalid key for config.`);
+      result = result[match];
     }
     return result;
   }
@@ -121,7 +606,7 @@ class ConfigManager {
  * @class
  * @extends {Error}
  */
-class ConfigError extends Error {
+export class ConfigError extends Error {
   constructor(message) {
     super(message);
   }
@@ -129,13 +614,15 @@ class ConfigError extends Error {
 
 /**
  * Error class for invalid configuration.
+ * `errors` lists every problem found, each starting with the full path of its key.
  *
  * @class
  * @extends {ConfigError}
  */
-class InvalidConfigError extends ConfigError {
-  constructor(message) {
+export class InvalidConfigError extends ConfigError {
+  constructor(message, errors = [message]) {
     super(message);
+    this.errors = errors;
   }
 }
 
@@ -145,10 +632,14 @@ class InvalidConfigError extends ConfigError {
  * @class
  * @extends {ConfigError}
  */
-class ConfigFileNotFoundError extends ConfigError {
+export class ConfigFileNotFoundError extends ConfigError {
   constructor(path) {
     super("Config file not found at: " + path);
   }
 }
 
+ConfigManager.registerSection("host", { type: "string", restart: true });
+ConfigManager.registerSection("url", { type: "string", pattern: /^https?:\/\//, restart: true });
+ConfigManager.registerSection("port", { type: "integer", required: true, min: 1, max: 65535, restart: true });
+
 export default ConfigManager;
@@ -1,5 +1,7 @@
+import { AsyncLocalStorage } from "async_hooks";
 import mysql from "mysql2/promise";
 import Logger from "./logger.js";
+import ConfigManager from "./config.js";
 
 /**
  * Database Manager class.
@@ -27,12 +29,18 @@ class DatabaseManager {
 
 	/**
 	 * @private
-	 * @type {Connection}
-	 * @description Holds the MySQL connection instance.
+	 * @type {AsyncLocalStorage}
+	 * @description Holds the per-request connection context ({ requestId, connection }) so concurrent requests never share a connection.
 	 */
-	#connection;
+	#storage = new AsyncLocalStorage();
+
+	/**
+	 * @static
+	 * @type {Array<string>}
+	 * @description Isolation levels accepted by `beginTransaction()` and `DatabaseManager.transaction()`.
+	 */
+	static ISOLATION_LEVELS = ["READ UNCOMMITTED", "READ COMMITTED", "REPEATABLE READ", "SERIALIZABLE"];
 
-	_currentRequestId;
 	/**
 	 * Creates an instance of DatabaseManager.
 	 *
@@ -52,96 +60,293 @@ class DatabaseManager {
 	}
 
 	/**
-	 * Acquires a connection from the pool and return its instance.
-	 * @returns {Connection} Connection object of database server.
+	 * Acquires a dedicated connection from the pool for a request and returns its context.
+	 * The context has to be activated with `run()` so queries issued while handling the request use it.
+	 * A transaction is enabled by default and begun lazily by the first query of the request.
+	 *
+	 * @param {string} requestId - The unique identifier for the request.
+	 * @returns {Promise<{requestId: string, connection: Connection, transaction: Object}>} Connection context of the request.
+	 * @throws {Error} If the request id is missing or the connection can not be acquired.
 	 */
 	async acquireConnection(requestId) {
 		if (!requestId) throw new Error("Requesting for connection without request id.");
-		this._currentRequestId = requestId;
-		this.#logger.info(this._currentRequestId || "UNKNOWN-REQUEST-ID", "Acquiring connection to the database server...");
+		this.#logger.info(requestId, "Acquiring connection to the database server...");
 		try {
 			if (!this.#pool) throw new Error("Pool is not defined.");
-			this.#connection = await this.#pool.getConnection();
-			this.verifyConnection();
-			this.#logger.info(this._currentRequestId || "UNKNOWN-REQUEST-ID", "Connection to the database sever created successfully.");
+			const context = {
+				requestId,
+				connection: await this.#pool.getConnection(),
+				transaction: { enabled: true, isolationLevel: undefined, active: false },
+			};
+			await this.verifyConnection(context);
+			this.#logger.info(requestId, "Connection to the database sever created successfully.");
+			return context;
 		} catch (error) {
-			this.#logger.error(this._currentRequestId || "UNKNOWN-REQUEST-ID", `Can\'t connect to the database server. Error: ${error.message}`);
+			this.#logger.error(requestId, `Can\'t connect to the database server. Error: ${error.message}`);
+			throw error;
 		}
 	}
 
+	/**
+	 * Runs a callback with the given connection context as the active one.
+	 * Everything called from the callback, including async continuations, resolves the same context.
+	 *
+	 * @param {{requestId: string, connection: Connection}} context - Context returned by `acquireConnection()`.
+	 * @param {Function} callback - The function to run inside the context.
+	 * @returns {*} - The return value of the callback.
+	 */
+	run(context, callback) {
+		return this.#storage.run(context, callback);
+	}
+
+	/**
+	 * Runs a callback outside of the active request context.
+	 * Its queries use the pool directly and are committed right away, whatever happens to the request transaction.
+	 *
+	 * @param {Function} callback - The function to run outside of the context.
+	 * @returns {*} - The return value of the callback.
+	 */
+	detached(callback) {
+		return this.#storage.exit(callback);
+	}
+
+	/**
+	 * Returns the connection context active for the current request, if any.
+	 *
+	 * @returns {{requestId: string, connection: Connection}|undefined} The active connection context.
+	 */
+	getContext() {
+		return this.#storage.getStore();
+	}
+
+	/**
+	 * Binds a tenant to the connection context, Model then scopes every query of the request to it.
+	 * A null tenant is bound as well: Model then refuses the tenant scoped queries of the request.
+	 *
+	 * @param {number} tenantId - The ID of the tenant of the authenticated user.
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
+	 */
+	bindTenant(tenantId, context = this.getContext()) {
+		if (!context) throw new Error("Can not bind a tenant outside of a request.");
+		context.tenantId = tenantId;
+	}
+
+	/**
+	 * Returns the Logger instance, for the models logging in the request.
+	 *
+	 * @returns {Logger} The logger.
+	 */
+	get logger() {
+		return this.#logger;
+	}
+
+	/**
+	 * Returns the request id of the active connection context.
+	 *
+	 * @returns {string} The request id, or "UNKNOWN-REQUEST-ID" outside of a request.
+	 */
+	get currentRequestId() {
+		return this.getContext()?.requestId || "UNKNOWN-REQUEST-ID";
+	}
+
 	/**
 	 * Executes a query against the database.
+	 * Uses the connection of the active request context, or the pool directly when called outside of a request.
+	 * The first query of a request with an enabled transaction begins it.
 	 *
 	 * @param {string} sql - The SQL query to execute.
 	 * @param {Array} placeholderValues - An array of placeholder values for the query.
 	 * @returns {Promise<Array>} - The result of the query.
 	 */
 	async executeQuery(sql, placeholderValues) {
+		const context = this.getContext();
 		try {
-			if (!this.#connection) await this.acquireConnection(this._currentRequestId || "UNKNOWN-REQUEST-ID");
-			return (await this.#connection.execute(sql, placeholderValues))[0];
+			if (context) {
+				if (!context.connection) throw new Error("The database connection of this request has already been released.");
+				if (context.transaction?.enabled && !context.transaction.active) await this.beginTransaction(context, context.transaction.isolationLevel);
+				return (await context.connection.execute(sql, placeholderValues))[0];
+			}
+			if (!this.#pool) throw new Error("Pool is not defined.");
+			return (await this.#pool.execute(sql, placeholderValues))[0];
 		} catch (error) {
-			this.#logger.error(this._currentRequestId || "UNKNOWN-REQUEST-ID", `Unable to execute sql query. Query: ${sql} with Values: ${JSON.stringify(placeholderValues)} | Error: ${error.message}.`);
+			this.#logger.error(this.currentRequestId, `Unable to execute sql query. Query: ${sql} with Values: ${JSON.stringify(placeholderValues)} | Error: ${error.message}.`);
 			throw error;
 		}
 	}
 
+	/**
+	 * Executes a statement with the text protocol, for the statements prepared statements do not support
+	 * (DDL, CREATE TRIGGER, GET_LOCK...). Uses the active connection context like `executeQuery()`.
+	 *
+	 * @param {string} sql - The SQL statement to execute.
+	 * @param {Array} [placeholderValues] - Values escaped into the placeholders of the statement.
+	 * @returns {Promise<Array>} - The result of the statement.
+	 */
+	async executeStatement(sql, placeholderValues) {
+		const context = this.getContext();
+		try {
+			if (context) {
+				if (!context.connection) throw new Error("The database connection of this request has already been released.");
+				if (context.transaction?.enabled && !context.transaction.active) await this.beginTransaction(context, context.transaction.isolationLevel);
+				return (await context.connection.query(sql, placeholderValues))[0];
+			}
+			if (!this.#pool) throw new Error("Pool is not defined.");
+			return (await this.#pool.query(sql, placeholderValues))[0];
+		} catch (error) {
+			this.#logger.error(this.currentRequestId, `Unable to execute sql statement. Statement: ${sql} | Error: ${error.message}.`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Closes every connection of the pool, for scripts that have to exit once done.
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (this.#pool) await this.#pool.end();
+	}
+
 	/**
 	 * Verifies the connection to the database server.
 	 *
-	 * This method checks the current database connection and attempts to ping the server
+	 * This method checks the given database connection and attempts to ping the server
 	 * to ensure the connection is active and responsive. It logs the verification process
 	 * and any errors encountered.
 	 *
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
 	 * @throws {Error} If the connection is not initialized.
 	 */
-	async verifyConnection() {
-		if (!this.#connection)
+	async verifyConnection(context = this.getContext()) {
+		if (!context?.connection)
 			throw new Error("Can not verify the empty database connection.");
-		this.#logger.info(this._currentRequestId || "UNKNOWN-REQUEST-ID", "Verifying the database server connection...");
+		this.#logger.info(context.requestId, "Verifying the database server connection...");
 		try {
-			await this.#connection.ping();
-			this.#logger.info(this._currentRequestId || "UNKNOWN-REQUEST-ID", "Connection to the database server verified.");
+			await context.connection.ping();
+			this.#logger.info(context.requestId, "Connection to the database server verified.");
 		} catch (error) {
-			this.#logger.error(this._currentRequestId || "UNKNOWN-REQUEST-ID", `Database server connection verification failed. Error: ${error.message}.`);
+			this.#logger.error(context.requestId, `Database server connection verification failed. Error: ${error.message}.`);
+		}
+	}
+	/**
+	 * Configures how the transaction of a request is run, before its first query.
+	 *
+	 * @param {boolean|{isolationLevel: string}} options - `false` to run queries without a transaction, or the transaction options.
+	 * @param {{requestId: string, connection: Connection, transaction: Object}} [context] - Connection context, defaults to the active one.
+	 * @throws {Error} If the transaction has already begun or the isolation level is unknown.
+	 */
+	configureTransaction(options, context = this.getContext()) {
+		if (!context?.transaction) throw new Error("Can not configure transaction on empty database connection.");
+		if (context.transaction.active) throw new Error("Can not configure transaction after it has begun.");
+		if (options === false) {
+			context.transaction.enabled = false;
+			return;
 		}
+		const isolationLevel = options?.isolationLevel?.toUpperCase();
+		if (isolationLevel && !DatabaseManager.ISOLATION_LEVELS.includes(isolationLevel))
+			throw new Error(`Invalid transaction isolation level "${options.isolationLevel}".`);
+		context.transaction.enabled = true;
+		context.transaction.isolationLevel = isolationLevel;
 	}
+
 	/**
 	 * Begins a transaction on the database connection.
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
+	 * @param {string} [isolationLevel] - One of `DatabaseManager.ISOLATION_LEVELS`, applied to this transaction only.
 	 * @returns {Promise<void>}
 	 */
-	async beginTransaction() {
-		if (!this.#connection) throw new Error("Can not begin transaction on empty database connection.");
-		return await this.#connection.beginTransaction();
+	async beginTransaction(context = this.getContext(), isolationLevel) {
+		if (!context?.connection) throw new Error("Can not begin transaction on empty database connection.");
+		if (isolationLevel) {
+			if (!DatabaseManager.ISOLATION_LEVELS.includes(isolationLevel)) throw new Error(`Invalid transaction isolation level "${isolationLevel}".`);
+			await context.connection.query(`SET TRANSACTION ISOLATION LEVEL ${isolationLevel}`);
+		}
+		await context.connection.beginTransaction();
+		if (context.transaction) context.transaction.active = true;
+	}
+
+	/**
+	 * Tells whether a transaction is open on the connection.
+	 * @param {{requestId: string, connection: Connection, transaction: Object}} [context] - Connection context, defaults to the active one.
+	 * @returns {boolean} True if a transaction has begun and is neither committed nor rolled back.
+	 */
+	isTransactionActive(context = this.getContext()) {
+		return Boolean(context?.connection && context.transaction?.active);
 	}
 
 	/**
 	 * Commits a transaction on the database connection.
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
 	 * @returns {Promise<void>}
 	 */
-	async commitTransaction() {
-		if (!this.#connection) throw new Error("Can not commit transaction on empty database connection.");
-		return await this.#connection.commit();
+	async commitTransaction(context = this.getContext()) {
+		if (!context?.connection) throw new Error("Can not commit transaction on empty database connection.");
+		await context.connection.commit();
+		// Only once committed, a failed commit leaves the transaction to roll back before the connection is released.
+		if (context.transaction) context.transaction.active = false;
 	}
 
 	/**
 	 * Rolls back a transaction on the database connection.
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
 	 * @returns {Promise<void>}
 	 */
-	async rollbackTransaction() {
-		if (!this.#connection) throw new Error("Can not rollback transaction on empty database connection.");
-		return await this.#connection.rollback();
+	async rollbackTransaction(context = this.getContext()) {
+		if (!context?.connection) throw new Error("Can not rollback transaction on empty database connection.");
+		if (context.transaction) context.transaction.active = false;
+		return await context.connection.rollback();
 	}
 
 	/**
-	 * Releases the database connection.
+	 * Releases the database connection back to the pool.
+	 * The context is emptied so a late query can not reuse a connection handed to another request.
+	 * @param {{requestId: string, connection: Connection}} [context] - Connection context, defaults to the active one.
 	 * @returns {Promise<void>}
 	 */
-	async release() {
-		if (!this.#connection) throw new Error("Can not release connection on empty database connection.");
-		this._currentRequestId = undefined;
-		return await this.#connection.release();
+	async release(context = this.getContext()) {
+		if (!context?.connection) throw new Error("Can not release connection on empty database connection.");
+		const connection = context.connection;
+		context.connection = undefined;
+		return await connection.release();
+	}
+
+	/**
+	 * Creates a route middleware that configures the transaction of the request.
+	 *
+	 * Usage:
+	 * routes.get('/list', DatabaseManager.transaction(false), handler); // Read-only, no transaction.
+	 * routes.post('/add', DatabaseManager.transaction({ isolationLevel: "SERIALIZABLE" }), handler);
+	 *
+	 * @static
+	 * @param {boolean|{isolationLevel: string}} options - `false` to opt out, or the transaction options.
+	 * @returns {Function} Express middleware.
+	 */
+	static transaction(options) {
+		return (request, response, next) => {
+			try {
+				request["__databaseConnection"].configureTransaction(options, request["__databaseContext"]);
+				next();
+			} catch (error) {
+				next(error);
+			}
+		};
 	}
 }
 
+// The pool is created once, changes apply after a restart.
+ConfigManager.registerSection("database", {
+	type: "object",
+	required: true,
+	restart: true,
+	properties: {
+		host: { type: "string", default: "localhost" },
+		user: { type: "string", required: true },
+		password: { type: "string" },
+		database: { type: "string", required: true },
+		port: { type: "integer", min: 1, max: 65535, default: 3306 },
+		waitForConnections: { type: "boolean", default: true },
+		connectionLimit: { type: "integer", min: 1, default: 10 },
+		queueLimit: { type: "integer", min: 0, default: 0 },
+	},
+});
+
 export default DatabaseManager;
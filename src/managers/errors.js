@@ -0,0 +1,166 @@
+/**
+ * HTTP errors.
+ * A route or middleware throws (or passes to `next()`) an HttpError to answer with its status, and the error
+ * handler of RouteManager renders every error as `{ error: true, code, message, details, requestId }`.
+ * Errors that are not HttpErrors are converted by `HttpError.from()`: MySQL errors are mapped to the status
+ * they stand for and anything else becomes a 500 whose message is never sent to the client.
+ *
+ * Usage:
+ * if (!user) throw new NotFoundError("User not found.");
+ * throw new ConflictError("Username already exists.", { field: "username" });
+ *
+ * @autor Darshan Ramjiyani
+ * @version 1.0.0
+ * @since 2024-07-26
+ */
+
+/**
+ * Base class of the errors answered with an HTTP status.
+ * The message and details are sent to the client when `expose` is true, by default for errors below 500.
+ *
+ * @class
+ * @extends {Error}
+ */
+export class HttpError extends Error {
+	/**
+	 * @static
+	 * @type {Object<string, {status: number, code: string, message: string}>}
+	 * @description MySQL error codes and the error they are answered with.
+	 */
+	static MYSQL_ERRORS = {
+		ER_DUP_ENTRY: { status: 409, code: "DUPLICATE_ENTRY", message: "A record with the same unique value already exists." },
+		ER_NO_REFERENCED_ROW: { status: 422, code: "REFERENCE_NOT_FOUND", message: "A referenced record does not exist." },
+		ER_NO_REFERENCED_ROW_2: { status: 422, code: "REFERENCE_NOT_FOUND", message: "A referenced record does not exist." },
+		ER_ROW_IS_REFERENCED: { status: 409, code: "RECORD_IN_USE", message: "The record is still referenced by other records." },
+		ER_ROW_IS_REFERENCED_2: { status: 409, code: "RECORD_IN_USE", message: "The record is still referenced by other records." },
+		ER_LOCK_WAIT_TIMEOUT: { status: 503, code: "LOCK_TIMEOUT", message: "The resource is busy, try again later." },
+		ER_LOCK_DEADLOCK: { status: 503, code: "LOCK_TIMEOUT", message: "The resource is busy, try again later." },
+		ER_CON_COUNT_ERROR: { status: 503, code: "SERVICE_UNAVAILABLE", message: "The service is unavailable, try again later." },
+		ECONNREFUSED: { status: 503, code: "SERVICE_UNAVAILABLE", message: "The service is unavailable, try again later." },
+	};
+
+	/**
+	 * @param {number} status - HTTP status of the response.
+	 * @param {string} code - Stable, machine readable code of the error.
+	 * @param {string} message - Message for the client.
+	 * @param {*} [details] - Data about the error for the client, such as the invalid fields.
+	 * @param {Object} [options] - Error options, `cause` keeps the error this one was made from.
+	 */
+	constructor(status, code, message, details = null, options) {
+		super(message, options);
+		this.name = this.constructor.name;
+		this.status = status;
+		this.code = code;
+		this.details = details;
+		this.expose = status < 500;
+	}
+
+	/**
+	 * Converts any error to an HttpError.
+	 * The MySQL error is looked for along the `cause` chain, Model wraps the errors of its queries.
+	 *
+	 * @static
+	 * @param {Error} error - The error to convert.
+	 * @returns {HttpError}
+	 */
+	static from(error) {
+		if (error instanceof HttpError) return error;
+		for (let cause = error; cause; cause = cause.cause) {
+			const mapped = HttpError.MYSQL_ERRORS[cause.code];
+			if (!mapped) continue;
+			const mappedError = new HttpError(mapped.status, mapped.code, mapped.message, null, { cause: error });
+			mappedError.expose = true;
+			return mappedError;
+		}
+		// Thrown by express.json() for a malformed or too large body.
+		if (Number.isInteger(error?.status) && error.status >= 400 && error.status < 500 && error.expose) {
+			return new HttpError(error.status, error.type?.toUpperCase().replaceAll(".", "_") ?? "BAD_REQUEST", error.message, null, { cause: error });
+		}
+		return new InternalServerError(undefined, { cause: error });
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class BadRequestError extends HttpError {
+	constructor(message = "Bad request.", details, code = "BAD_REQUEST") {
+		super(400, code, message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class UnauthorizedError extends HttpError {
+	constructor(message = "Authentication is required.", details) {
+		super(401, "UNAUTHORIZED", message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class ForbiddenError extends HttpError {
+	constructor(message = "You do not have permission to perform this action.", details) {
+		super(403, "FORBIDDEN", message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class NotFoundError extends HttpError {
+	constructor(message = "Not found.", details) {
+		super(404, "NOT_FOUND", message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class ConflictError extends HttpError {
+	constructor(message = "Conflict.", details) {
+		super(409, "CONFLICT", message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class UnprocessableEntityError extends HttpError {
+	constructor(message = "Unprocessable entity.", details) {
+		super(422, "UNPROCESSABLE_ENTITY", message, details);
+	}
+}
+
+/**
+ * @class
+ * @extends {HttpError}
+ */
+export class ServiceUnavailableError extends HttpError {
+	constructor(message = "The service is unavailable, try again later.", details) {
+		super(503, "SERVICE_UNAVAILABLE", message, details);
+		this.expose = true;
+	}
+}
+
+/**
+ * The message of the error is replaced by a generic one in responses, the cause is only logged.
+ *
+ * @class
+ * @extends {HttpError}
+ */
+export class InternalServerError extends HttpError {
+	constructor(message = "Internal server error.", options) {
+		super(500, "INTERNAL_ERROR", message, null, options);
+	}
+}
+
+export default HttpError;
@@ -9,7 +9,7 @@ import ConfigManager from "./config.js";
  *
  * Features:
  * - Logs messages to a specified output (console, file, etc.).
- * - Supports various log levels (info, warn, error, debug).
+ * - Supports various log levels (info, warn, error, debug), messages below the configured `level` are skipped.
  * - Can be extended to include additional log handlers (e.g., external logging services).
  *
  * Usage:
@@ -18,11 +18,32 @@ import ConfigManager from "./config.js";
  * logger.error('request123', 'This is an error message.');
  *
  * @autor Darshan Ramjiyani
- * @version 2.0.0
+ * @version 2.1.0
  * @since 2024-07-26
  */
 
 class Logger extends console.Console {
+	/**
+	 * @static
+	 * @type {Array<string>}
+	 * @description Log levels from the most to the least verbose.
+	 */
+	static LEVELS = ["debug", "info", "warn", "error"];
+
+	/**
+	 * @static
+	 * @private
+	 * @type {Logger}
+	 * @description Logger of the static methods, created on first use from the shared configuration.
+	 */
+	static #shared;
+
+	/**
+	 * @private {number} minimumLevel
+	 * @description Index in LEVELS of the least severe level logged.
+	 */
+	#minimumLevel = 0;
+
 	/**
 	 * @private {Object} STDOUT_COLORS
 	 * @description
@@ -86,6 +107,17 @@ class Logger extends console.Console {
 			REQ: "Requ",
 			RES: "Resp",
 		};
+		this.setLevel(configs["level"]);
+	}
+
+	/**
+	 * Sets the least severe level logged, e.g. "warn" only logs warnings and errors.
+	 *
+	 * @param {string} [level="debug"] - One of Logger.LEVELS.
+	 */
+	setLevel(level = "debug") {
+		if (!Logger.LEVELS.includes(level)) throw new Error(`Unknown log level "${level}", expected one of ${Logger.LEVELS.join(", ")}.`);
+		this.#minimumLevel = Logger.LEVELS.indexOf(level);
 	}
 
 	/**
@@ -132,10 +164,7 @@ class Logger extends console.Console {
 		this.log(this.logLevels.REQ, id, url);
 	}
 	static res(id, message) {
-		const instance = new Logger(
-			new ConfigManager().getConfig("log"),
-		);
-		instance.res(id, message);
+		Logger.#sharedInstance().res(id, message);
 	}
 	res(id, message) {
 		this.log(this.logLevels.RES, id, message + "\n");
@@ -149,6 +178,7 @@ class Logger extends console.Console {
 	 * @param {string} message - The message to log.
 	 */
 	log(level, id, message) {
+		if (this.#severity(level) < this.#minimumLevel) return;
 		message = `${this.#STDOUT_COLORS.bright}${this.#STDOUT_COLORS.fg.Red}[${id}]${this.#STDOUT_COLORS.reset}${this.#getStdOutColorBasedOnLogLevel(level)}[${level}]${this.#STDOUT_COLORS.reset} ${message}`;
 		console.log(message);
 		message = message.replace(/\x1b\[\d+m/g, "");
@@ -195,6 +225,23 @@ class Logger extends console.Console {
 		};
 	}
 
+	/**
+	 * Index in LEVELS of a log level, requests and responses are logged as info.
+	 * @private
+	 */
+	#severity(logLevel) {
+		switch (logLevel) {
+			case this.logLevels.DEBUG:
+				return 0;
+			case this.logLevels.WARN:
+				return 2;
+			case this.logLevels.ERROR:
+				return 3;
+			default:
+				return 1;
+		}
+	}
+
 	#getStdOutColorBasedOnLogLevel(logLevel) {
 		switch (logLevel) {
 			case "Info":
@@ -215,10 +262,20 @@ class Logger extends console.Console {
 	}
 
 	static log(id, message) {
-		const instance = new Logger(
-			new ConfigManager().getConfig("log"),
-		);
-		instance.info(id ? id : "SYS", message);
+		Logger.#sharedInstance().info(id ? id : "SYS", message);
+	}
+
+	/**
+	 * Returns the logger of the static methods, following the level of the shared configuration.
+	 * @private
+	 */
+	static #sharedInstance() {
+		if (!Logger.#shared) {
+			const configManager = ConfigManager.shared();
+			Logger.#shared = new Logger(configManager.getConfig("log"));
+			configManager.subscribe("log.level", (level) => Logger.#shared.setLevel(level));
+		}
+		return Logger.#shared;
 	}
 
 	logRequest(request) {
@@ -228,4 +285,9 @@ class Logger extends console.Console {
 	}
 }
 
+ConfigManager.registerSection("log", {
+	directory: { type: "string", min: 1, default: "./src/logs", restart: true },
+	level: { type: "string", enum: Logger.LEVELS, default: "debug" },
+});
+
 export default Logger;
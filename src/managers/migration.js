@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import SchemaMigration from "../models/migration.js";
+
+/**
+ * Migration Manager class.
+ * This class applies the versioned migrations of the schema, in order, and records them in the schema_migrations table.
+ *
+ * A migration is a pair of files in the migrations directory, `<version>_<name>.up.sql` and `<version>_<name>.down.sql`,
+ * the version being a number (0001, 0002, ...). Each run of `migrate()` is a batch, `rollback()` reverts whole batches.
+ * Runs hold a MySQL advisory lock so two deployments can not migrate the same database at once.
+ * Files hold several statements; `DELIMITER $$` lines change the statement delimiter for trigger and procedure bodies.
+ * MySQL commits DDL statements implicitly, so a migration failing halfway is not rolled back: keep them small.
+ *
+ * Usage:
+ * const migrations = new MigrationManager(databaseManager, logger);
+ * await migrations.migrate({ dryRun: true }); // Lists the pending migrations and their statements.
+ * await migrations.migrate();
+ * await migrations.rollback({ steps: 1 });
+ *
+ * @autor Darshan Ramjiyani
+ * @version 1.0.0
+ * @since 2024-07-26
+ */
+class MigrationManager {
+	/**
+	 * @static
+	 * @type {RegExp}
+	 * @description Name of a migration file: version, name and direction.
+	 */
+	static FILE_PATTERN = /^(\d+)_([A-Za-z0-9_-]+)\.(up|down)\.sql$/;
+
+	/**
+	 * @static
+	 * @type {string}
+	 * @description Name of the advisory lock held while migrating.
+	 */
+	static LOCK_NAME = "schema_migrations";
+
+	/**
+	 * @static
+	 * @type {number}
+	 * @description Seconds to wait for the advisory lock.
+	 */
+	static LOCK_TIMEOUT = 10;
+
+	/**
+	 * @private
+	 * @type {DatabaseManager}
+	 * @description Holds the DatabaseManager instance the migrations are executed with.
+	 */
+	#databaseManager;
+
+	/**
+	 * @private
+	 * @type {Logger}
+	 * @description Holds the Logger instance for logging activities.
+	 */
+	#logger;
+
+	/**
+	 * @private
+	 * @type {string}
+	 * @description Directory of the migration files.
+	 */
+	#directory;
+
+	/**
+	 * Creates an instance of MigrationManager.
+	 *
+	 * @constructor
+	 * @param {DatabaseManager} databaseManager - An instance of the DatabaseManager class.
+	 * @param {Logger} loggerObject - An instance of a Logger class.
+	 * @param {string} [directory="DatabaseSchema/migrations"] - Directory of the migration files.
+	 */
+	constructor(databaseManager, loggerObject, directory = "DatabaseSchema/migrations") {
+		this.#databaseManager = databaseManager;
+		this.#logger = loggerObject;
+		this.#directory = directory;
+	}
+
+	/**
+	 * Reads the migration files.
+	 *
+	 * @returns {Promise<Array<{version: string, name: string, up: string, down: string|undefined}>>} The migrations sorted by version, with their file paths.
+	 * @throws {Error} If two migrations share a version or a migration has no up file.
+	 */
+	async load() {
+		const migrations = new Map();
+		for (const file of await fs.readdir(this.#directory)) {
+			const match = file.match(MigrationManager.FILE_PATTERN);
+			if (!match) continue;
+			const [, version, name, direction] = match;
+			const migration = migrations.get(version) ?? { version, name };
+			if (migration.name !== name) throw new Error(`Migration version ${version} is used by both ${migration.name} and ${name}.`);
+			migration[direction] = path.join(this.#directory, file);
+			migrations.set(version, migration);
+		}
+		for (const migration of migrations.values()) {
+			if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no up file.`);
+		}
+		return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+	}
+
+	/**
+	 * Lists every migration with its state.
+	 * A migration is `changed` when its up file no longer matches the one applied, and `missing` when it was applied but its files are gone.
+	 *
+	 * @returns {Promise<Array<{version: string, name: string, state: string, batch: number|null, appliedAt: Date|null}>>}
+	 */
+	async status() {
+		return await this.#withConnection(async () => {
+			await this.#ensureTable();
+			const applied = await this.#applied();
+			const rows = [];
+			for (const migration of await this.load()) {
+				const record = applied.get(migration.version);
+				let state = "pending";
+				if (record) state = record.checksum === MigrationManager.checksum(await fs.readFile(migration.up, "utf8")) ? "applied" : "changed";
+				rows.push({ version: migration.version, name: migration.name, state, batch: record?.batch ?? null, appliedAt: record?.applied_at ?? null });
+				applied.delete(migration.version);
+			}
+			for (const record of applied.values()) {
+				rows.push({ version: record.version, name: record.name, state: "missing", batch: record.batch, appliedAt: record.applied_at });
+			}
+			return rows.sort((a, b) => Number(a.version) - Number(b.version));
+		});
+	}
+
+	/**
+	 * Applies the pending migrations in order, as one batch.
+	 *
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dryRun=false] - Only return what would be applied.
+	 * @param {string|number} [options.to] - Last version to apply.
+	 * @returns {Promise<Array<{version: string, name: string, statements: Array<string>}>>} The migrations applied, or to apply on a dry run.
+	 */
+	async migrate({ dryRun = false, to } = {}) {
+		return await this.#withConnection(async () => {
+			await this.#ensureTable();
+			const applied = await this.#applied();
+			const pending = (await this.load()).filter(migration => !applied.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to)));
+			const plan = [];
+			for (const migration of pending) {
+				const sql = await fs.readFile(migration.up, "utf8");
+				plan.push({ version: migration.version, name: migration.name, checksum: MigrationManager.checksum(sql), statements: MigrationManager.splitStatements(sql) });
+			}
+			if (dryRun || plan.length === 0) {
+				this.#logger.info("MIGRATION", plan.length === 0 ? "Nothing to migrate." : `${plan.length} migration(s) to apply (dry run).`);
+				return plan;
+			}
+			const batch = Math.max(0, ...[...applied.values()].map(record => record.batch)) + 1;
+			for (const migration of plan) {
+				this.#logger.info("MIGRATION", `Applying ${migration.version}_${migration.name}...`);
+				for (const statement of migration.statements) await this.#databaseManager.executeStatement(statement);
+				await new SchemaMigration(this.#databaseManager).insert({ version: migration.version, name: migration.name, batch, checksum: migration.checksum }).execute();
+			}
+			this.#logger.info("MIGRATION", `${plan.length} migration(s) applied in batch ${batch}.`);
+			return plan;
+		});
+	}
+
+	/**
+	 * Reverts the migrations of the last batches, newest first.
+	 *
+	 * @param {Object} [options]
+	 * @param {number} [options.steps=1] - Number of batches to revert, Infinity for all of them.
+	 * @param {boolean} [options.dryRun=false] - Only return what would be reverted.
+	 * @returns {Promise<Array<{version: string, name: string, statements: Array<string>}>>} The migrations reverted, or to revert on a dry run.
+	 * @throws {Error} If steps is not a positive whole number or a migration to revert has no down file.
+	 */
+	async rollback({ steps = 1, dryRun = false } = {}) {
+		if (!(Number.isInteger(steps) || steps === Infinity) || steps < 1) throw new Error(`Invalid rollback steps "${steps}", expected a positive whole number.`);
+		return await this.#withConnection(async () => {
+			await this.#ensureTable();
+			const applied = [...(await this.#applied()).values()];
+			const batches = [...new Set(applied.map(record => record.batch))].sort((a, b) => b - a).slice(0, steps);
+			const files = new Map((await this.load()).map(migration => [migration.version, migration]));
+			const plan = [];
+			for (const record of applied.filter(record => batches.includes(record.batch)).sort((a, b) => Number(b.version) - Number(a.version))) {
+				const down = files.get(record.version)?.down;
+				if (!down) throw new Error(`Migration ${record.version}_${record.name} has no down file, it can not be reverted.`);
+				plan.push({ version: record.version, name: record.name, statements: MigrationManager.splitStatements(await fs.readFile(down, "utf8")) });
+			}
+			if (dryRun || plan.length === 0) {
+				this.#logger.info("MIGRATION", plan.length === 0 ? "Nothing to roll back." : `${plan.length} migration(s) to revert (dry run).`);
+				return plan;
+			}
+			for (const migration of plan) {
+				this.#logger.info("MIGRATION", `Reverting ${migration.version}_${migration.name}...`);
+				for (const statement of migration.statements) await this.#databaseManager.executeStatement(statement);
+				await new SchemaMigration(this.#databaseManager).hardDelete().where({ version: migration.version }).execute();
+			}
+			this.#logger.info("MIGRATION", `${plan.length} migration(s) reverted.`);
+			return plan;
+		});
+	}
+
+	/**
+	 * Splits the content of a migration file into statements.
+	 * Quoted strings and identifiers are kept whole, comments are dropped and `DELIMITER <token>` lines
+	 * (as understood by the mysql client) change the delimiter ending the next statements.
+	 *
+	 * @static
+	 * @param {string} sql - Content of a migration file.
+	 * @returns {Array<string>} The statements, without their delimiter.
+	 */
+	static splitStatements(sql) {
+		const statements = [];
+		let delimiter = ";";
+		let current = "";
+		let index = 0;
+		const flush = () => {
+			if (current.trim()) statements.push(current.trim());
+			current = "";
+		};
+		while (index < sql.length) {
+			if (index === 0 || sql[index - 1] === "\n") {
+				const directive = sql.slice(index).match(/^[ \t]*DELIMITER[ \t]+(\S+)[ \t]*(?:\r?\n|$)/i);
+				if (directive) {
+					flush();
+					delimiter = directive[1];
+					index += directive[0].length;
+					continue;
+				}
+			}
+			const character = sql[index];
+			if ((character === "-" && sql[index + 1] === "-" && /\s/.test(sql[index + 2] ?? " ")) || character === "#") {
+				const end = sql.indexOf("\n", index);
+				index = end === -1 ? sql.length : end;
+				continue;
+			}
+			if (character === "/" && sql[index + 1] === "*") {
+				const end = sql.indexOf("*/", index + 2);
+				if (end === -1) throw new Error("Unterminated comment in migration.");
+				current += " ";
+				index = end + 2;
+				continue;
+			}
+			if (character === "'" || character === '"' || character === "`") {
+				let end = index + 1;
+				while (end < sql.length) {
+					if (sql[end] === "\\" && character !== "`") end += 2;
+					else if (sql[end] === character && sql[end + 1] === character) end += 2;
+					else if (sql[end] === character) break;
+					else end++;
+				}
+				if (end >= sql.length) throw new Error(`Unterminated ${character} quote in migration.`);
+				current += sql.slice(index, end + 1);
+				index = end + 1;
+				continue;
+			}
+			if (sql.startsWith(delimiter, index)) {
+				flush();
+				index += delimiter.length;
+				continue;
+			}
+			current += character;
+			index++;
+		}
+		flush();
+		return statements;
+	}
+
+	/**
+	 * Checksum of a migration file, to detect files edited after they were applied.
+	 *
+	 * @static
+	 * @param {string} sql - Content of the file.
+	 * @returns {string} Hex encoded SHA-256 hash.
+	 */
+	static checksum(sql) {
+		return crypto.createHash("sha256").update(sql).digest("hex");
+	}
+
+	/**
+	 * Runs a callback on a dedicated connection holding the advisory lock, without transaction.
+	 * @private
+	 */
+	async #withConnection(callback) {
+		const context = await this.#databaseManager.acquireConnection("MIGRATION");
+		this.#databaseManager.configureTransaction(false, context);
+		try {
+			return await this.#databaseManager.run(context, async () => {
+				const [{ acquired }] = await this.#databaseManager.executeStatement("SELECT GET_LOCK(?, ?) AS acquired", [MigrationManager.LOCK_NAME, MigrationManager.LOCK_TIMEOUT]);
+				if (acquired !== 1) throw new Error("Another migration is running, the schema_migrations lock could not be acquired.");
+				try {
+					return await callback();
+				} finally {
+					await this.#databaseManager.executeStatement("SELECT RELEASE_LOCK(?)", [MigrationManager.LOCK_NAME]);
+				}
+			});
+		} finally {
+			await this.#databaseManager.release(context);
+		}
+	}
+
+	/**
+	 * Creates the schema_migrations table when it does not exist.
+	 * @private
+	 */
+	async #ensureTable() {
+		await this.#databaseManager.executeStatement(`CREATE TABLE IF NOT EXISTS schema_migrations(
+			version VARCHAR(32) PRIMARY KEY,
+			\`name\` VARCHAR(255) NOT NULL,
+			batch INT NOT NULL,
+			checksum CHAR(64) NOT NULL,
+			applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+		)`);
+	}
+
+	/**
+	 * Returns the applied migrations by version.
+	 * @private
+	 */
+	async #applied() {
+		const rows = await new SchemaMigration(this.#databaseManager).select().execute();
+		return new Map(rows.map(row => [row.version, row]));
+	}
+}
+
+export default MigrationManager;
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * PasswordHasher class.
+ * This class is responsible for hashing passwords with scrypt and verifying them in constant time.
+ * Hashes are stored as `$scrypt$N=<cost>,r=<blockSize>,p=<parallelization>$<salt>$<hash>`, so a hash
+ * made with older parameters can still be verified and reported by `needsRehash()` to be upgraded.
+ *
+ * Usage:
+ * const passwordHasher = new PasswordHasher(configManager.getConfig("auth").password);
+ * const hash = await passwordHasher.hash("secret");
+ * const valid = await passwordHasher.verify("secret", hash);
+ *
+ * @autor Darshan Ramjiyani
+ * @version 1.0.0
+ * @since 2024-07-26
+ */
+class PasswordHasher {
+	/**
+	 * @private
+	 * @type {Object}
+	 * @description Holds the scrypt parameters used for new hashes.
+	 */
+	#params;
+
+	/**
+	 * @private
+	 * @type {Promise<string>}
+	 * @description Hash verified when the user does not exist, so both failures take the same time.
+	 */
+	#dummyHash;
+
+	/**
+	 * Creates an instance of PasswordHasher.
+	 *
+	 * @constructor
+	 * @param {object} [params] - The scrypt parameters (cost, blockSize, parallelization, keyLength, saltLength).
+	 */
+	constructor(params = {}) {
+		this.#params = {
+			cost: 16384,
+			blockSize: 8,
+			parallelization: 1,
+			keyLength: 64,
+			saltLength: 16,
+			...params,
+		};
+	}
+
+	/**
+	 * Hashes a password with a random salt and the current parameters.
+	 *
+	 * @param {string} password - The plain password.
+	 * @returns {Promise<string>} The encoded hash.
+	 */
+	async hash(password) {
+		const { cost, blockSize, parallelization, keyLength, saltLength } = this.#params;
+		const salt = crypto.randomBytes(saltLength);
+		const key = await this.#derive(password, salt, keyLength, cost, blockSize, parallelization);
+		return `$scrypt$N=${cost},r=${blockSize},p=${parallelization}$${salt.toString("base64")}$${key.toString("base64")}`;
+	}
+
+	/**
+	 * Verifies a password against an encoded hash in constant time.
+	 * Values that are not scrypt hashes are legacy plain text credentials, compared through their digests.
+	 *
+	 * @param {string} password - The plain password.
+	 * @param {string} [encodedHash] - The stored hash, or undefined to only spend the time of a verification.
+	 * @returns {Promise<boolean>} True if the password matches.
+	 */
+	async verify(password, encodedHash) {
+		if (typeof password !== "string") password = "";
+		if (!encodedHash) {
+			this.#dummyHash ??= this.hash("dummy-password");
+			await this.verify(password, await this.#dummyHash);
+			return false;
+		}
+		const parsed = this.#parse(encodedHash);
+		if (!parsed) {
+			const digest = (value) => crypto.createHash("sha256").update(value).digest();
+			return crypto.timingSafeEqual(digest(password), digest(encodedHash));
+		}
+		const key = await this.#derive(password, parsed.salt, parsed.key.length, parsed.cost, parsed.blockSize, parsed.parallelization);
+		return crypto.timingSafeEqual(key, parsed.key);
+	}
+
+	/**
+	 * Tells whether a hash was made with other parameters than the current ones, or is plain text.
+	 *
+	 * @param {string} encodedHash - The stored hash.
+	 * @returns {boolean} True if the hash should be replaced by `hash()` of the same password.
+	 */
+	needsRehash(encodedHash) {
+		const parsed = this.#parse(encodedHash);
+		if (!parsed) return true;
+		return parsed.cost !== this.#params.cost
+			|| parsed.blockSize !== this.#params.blockSize
+			|| parsed.parallelization !== this.#params.parallelization
+			|| parsed.key.length !== this.#params.keyLength
+			|| parsed.salt.length !== this.#params.saltLength;
+	}
+
+	/**
+	 * Parses an encoded hash.
+	 *
+	 * @private
+	 * @param {string} encodedHash - The stored hash.
+	 * @returns {Object|null} The parameters, salt and key of the hash, or null if it is not a scrypt hash.
+	 */
+	#parse(encodedHash) {
+		const match = /^\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(encodedHash || "");
+		if (!match) return null;
+		return {
+			cost: Number(match[1]),
+			blockSize: Number(match[2]),
+			parallelization: Number(match[3]),
+			salt: Buffer.from(match[4], "base64"),
+			key: Buffer.from(match[5], "base64"),
+		};
+	}
+
+	/**
+	 * Derives a key with scrypt, allowing the memory the parameters need.
+	 *
+	 * @private
+	 * @returns {Promise<Buffer>} The derived key.
+	 */
+	#derive(password, salt, keyLength, cost, blockSize, parallelization) {
+		return scrypt(password.normalize("NFKC"), salt, keyLength, {
+			N: cost,
+			r: blockSize,
+			p: parallelization,
+			maxmem: 256 * cost * blockSize,
+		});
+	}
+}
+
+export default PasswordHasher;
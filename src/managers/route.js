@@ -1,8 +1,9 @@
 import express from "express";
 import helmet from "helmet";
 import Authorization from "./authorization.js";
-import Logger from "./logger.js";
 import routes from "../routes/index.js";
+import ConfigManager from "./config.js";
+import HttpError, { InternalServerError, NotFoundError } from "./errors.js";
 /**
  * RouteManager class.
  * This class is responsible for managing and registering all routes for the Express server instance,
@@ -18,23 +19,34 @@ class RouteManager {
 	#databaseManagerInstance;
 	#authorizationInstance;
 	#loggerInstance;
+	#authenticationInstance;
+	#exposeErrorStack;
+	#pendingSettlements = new WeakMap();
 	/**
 	 * Creates an instance of RouteManager.
 	 *
 	 * @constructor
 	 * @param {object} expressServerInstance - The Express server instance.
 	 * @param {object} databaseManagerInstance - The instance of the DatabaseManager class.
+	 * @param {object} loggerInstance - The instance of the Logger class.
+	 * @param {object} authenticationInstance - The instance of the Authentication class.
+	 * @param {object} [options]
+	 * @param {boolean} [options.exposeErrorStack=false] - Add the stack of the error to error responses, for local debugging only.
 	 */
-	constructor(expressServerInstance, databaseManagerInstance, loggerInstance) {
+	constructor(expressServerInstance, databaseManagerInstance, loggerInstance, authenticationInstance, { exposeErrorStack = false } = {}) {
+		this.#exposeErrorStack = exposeErrorStack;
 		this.#expressServerInstance = expressServerInstance;
 		this.databaseManagerInstance = databaseManagerInstance;
 		this.#loggerInstance = loggerInstance;
-		this.#authorizationInstance = new Authorization();
+		this.#authenticationInstance = authenticationInstance;
+		this.#authorizationInstance = new Authorization(this.databaseManagerInstance, this.#loggerInstance);
 		this.#setEssentialRoutes();
 	}
 
 	/**
 	 * Sets essential routes and middleware for the Express server.
+	 * Requests are authenticated before a database connection is acquired for them,
+	 * so requests without a valid token never hold a connection of the pool.
 	 * @private
 	 */
 	async #setEssentialRoutes() {
@@ -47,25 +59,79 @@ class RouteManager {
 				response.setHeader("X-Request-Id", request["__id"]);
 				// Logger.logRequest(request);
 				request['__loggerInstance'] = this.#loggerInstance;
+				request['__authentication'] = this.#authenticationInstance;
+				request['__authorization'] = this.#authorizationInstance;
 				this.#loggerInstance.logRequest(request);
+				response.on("finish", () => {
+					delete request['__loggerInstance'];
+					this.#loggerInstance.res(request["__id"], `Response status = ${response.statusCode}`);
+				});
+				next();
+			},
+		);
+		// Both check the token and load their data outside of the request connection.
+		this.#expressServerInstance.use(this.#authenticationInstance.middleware());
+		this.#expressServerInstance.use(this.#authorizationInstance.middleware());
+		this.#expressServerInstance.use(
+			async (request, response, next) => {
+				let databaseContext;
 				try {
-					await this.databaseManagerInstance.acquireConnection(request["__id"]);
+					databaseContext = await this.databaseManagerInstance.acquireConnection(request["__id"]);
 					request["__databaseConnection"] = this.databaseManagerInstance;
-					await this.databaseManagerInstance.beginTransaction();
+					request["__databaseContext"] = databaseContext;
 				} catch (error) {
 					return next(error);
 				}
-				response.on("finish", async () => {
-					delete request['__loggerInstance'];
-					Logger.res(request["__id"], `Response status = ${response.statusCode}`);
-					await this.databaseManagerInstance.release();
+				if (request.user) this.databaseManagerInstance.bindTenant(request.user.tenant_id, databaseContext);
+				this.#settleTransactionBeforeResponse(response, databaseContext);
+				response.on("close", async () => {
+					try {
+						// The commit started by the response can still be running when the client goes away.
+						await this.#pendingSettlements.get(databaseContext);
+						if (this.databaseManagerInstance.isTransactionActive(databaseContext)) await this.databaseManagerInstance.rollbackTransaction(databaseContext);
+						if (databaseContext.connection) await this.databaseManagerInstance.release(databaseContext);
+					} catch (error) {
+						this.#loggerInstance.error(request["__id"], `Unable to release the request connection. Error: ${error.message}`);
+					}
 				});
-				next();
+				// Every following middleware and handler of this request resolves its own connection context.
+				this.databaseManagerInstance.run(databaseContext, next);
 			},
 		);
 		this.registerCustomRoutes();
 	}
 
+	/**
+	 * Commits or rolls back the request transaction right before the response is sent,
+	 * so a client never receives a success response for writes that were not committed.
+	 * 2xx/3xx responses commit, every other status rolls back.
+	 * The connection is only released once the transaction is settled, see the close listener.
+	 * @private
+	 * @param {object} response - The Express response object.
+	 * @param {object} databaseContext - Connection context of the request.
+	 */
+	#settleTransactionBeforeResponse(response, databaseContext) {
+		const end = response.end;
+		response.end = (...args) => {
+			response.end = end;
+			if (!this.databaseManagerInstance.isTransactionActive(databaseContext)) return response.end(...args);
+			const settle = response.statusCode < 400
+				? this.databaseManagerInstance.commitTransaction(databaseContext)
+				: this.databaseManagerInstance.rollbackTransaction(databaseContext);
+			const pending = settle.then(() => response.end(...args)).catch(async (error) => {
+				this.#loggerInstance.error(databaseContext.requestId, `Unable to settle the request transaction. Error: ${error.message}`);
+				if (this.databaseManagerInstance.isTransactionActive(databaseContext)) await this.databaseManagerInstance.rollbackTransaction(databaseContext).catch(() => { });
+				const body = JSON.stringify(this.#errorBody(new InternalServerError("Unable to complete the request."), databaseContext.requestId));
+				response.statusCode = 500;
+				response.setHeader("Content-Type", "application/json; charset=utf-8");
+				response.setHeader("Content-Length", Buffer.byteLength(body));
+				response.end(body);
+			});
+			this.#pendingSettlements.set(databaseContext, pending);
+			return response;
+		};
+	}
+
 	/**
 	 * Registers custom routes from the routes directory.
 	 *
@@ -78,26 +144,53 @@ class RouteManager {
 
 	/**
 	 * Sets the error handling route.
+	 * Every error is answered as `{ error: true, code, message, details, requestId }`, see HttpError.
+	 * Client errors are logged as warnings, server errors with their stack; the message of an error is only sent when it is exposed.
+	 * The request transaction is rolled back by the response itself, as for every status from 400.
 	 * @private
 	 */
 	async #setErrorHandlingRoute() {
-		this.#expressServerInstance.use(async (err, req, res, next) => {
-			console.error(err.stack);
-			if (req["__databaseConnection"]) await this.databaseManagerInstance.rollbackTransaction();
-			res.status(500).json({ error: true, message: err.message });
-		});
 		this.#setNotFoundRoute();
+		this.#expressServerInstance.use((err, req, res, next) => {
+			const error = HttpError.from(err);
+			if (error.status < 500) this.#loggerInstance.warn(req["__id"], `${error.status} ${error.code}: ${error.message}`);
+			else this.#loggerInstance.error(req["__id"], `${error.status} ${error.code}: ${err.stack ?? err}${err.cause?.stack ? `\nCaused by: ${err.cause.stack}` : ""}`);
+			if (res.headersSent) return next(err);
+			res.status(error.status).json(this.#errorBody(error, req["__id"]));
+		});
 	}
 
 	/**
-	 * Sets the 404 not found route.
+	 * Sets the 404 not found route, for the requests no route answered.
 	 * @private
 	 */
 	#setNotFoundRoute() {
-		this.#expressServerInstance.use(async (req, res) => {
-			res.status(404).json({ error: true, message: "Not found." }).end();
-		});
+		this.#expressServerInstance.use((req, res, next) => next(new NotFoundError()));
+	}
+
+	/**
+	 * Builds the response body of an error.
+	 * @private
+	 * @param {HttpError} error - The error to answer with.
+	 * @param {string} requestId - Id of the request, also sent in the X-Request-Id header.
+	 * @returns {Object} The response body.
+	 */
+	#errorBody(error, requestId) {
+		const body = {
+			error: true,
+			code: error.code,
+			message: error.expose ? error.message : new InternalServerError().message,
+			details: error.expose ? error.details : null,
+			requestId: requestId ?? null,
+		};
+		// The stack of the HttpError only, the one of its cause can hold the SQL of a failed query.
+		if (this.#exposeErrorStack) body.stack = error.stack;
+		return body;
 	}
 }
 
+ConfigManager.registerSection("errors", {
+	exposeStack: { type: "boolean", default: false, restart: true },
+});
+
 export default RouteManager;
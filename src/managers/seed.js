@@ -0,0 +1,122 @@
+import SEEDERS from "../seeders/index.js";
+import PasswordHasher from "./password.js";
+
+/**
+ * Seed Manager class.
+ * This class fills a migrated database with the data of an environment: `development` and `demo` get the demo tenants,
+ * `test` gets small fixtures. The seeders of an environment run in one transaction, in order.
+ *
+ * Seeders are idempotent: rows are looked up by their natural key (tenant name, role name, username...) and only
+ * created when missing, so running them again leaves the database as it is.
+ *
+ * Usage:
+ * const seeds = new SeedManager(databaseManager, logger);
+ * await seeds.run("demo");
+ * await seeds.run("development", { tenants: 20, usersPerTenant: 500 }); // Also generates load testing data.
+ *
+ * @autor Darshan Ramjiyani
+ * @version 1.0.0
+ * @since 2024-07-26
+ */
+class SeedManager {
+	/**
+	 * @private
+	 * @type {DatabaseManager}
+	 * @description Holds the DatabaseManager instance the seeders are run with.
+	 */
+	#databaseManager;
+
+	/**
+	 * @private
+	 * @type {Logger}
+	 * @description Holds the Logger instance for logging activities.
+	 */
+	#logger;
+
+	/**
+	 * @private
+	 * @type {Object<string, Array<{name: string, seed: Function}>>}
+	 * @description The seeders of each environment.
+	 */
+	#seeders;
+
+	/**
+	 * Creates an instance of SeedManager.
+	 *
+	 * @constructor
+	 * @param {DatabaseManager} databaseManager - An instance of the DatabaseManager class.
+	 * @param {Logger} loggerObject - An instance of a Logger class.
+	 * @param {Object<string, Array<{name: string, seed: Function}>>} [seeders] - The seeders of each environment.
+	 */
+	constructor(databaseManager, loggerObject, seeders = SEEDERS) {
+		this.#databaseManager = databaseManager;
+		this.#logger = loggerObject;
+		this.#seeders = seeders;
+	}
+
+	/**
+	 * Names of the environments that can be seeded.
+	 * @returns {Array<string>}
+	 */
+	get environments() {
+		return Object.keys(this.#seeders);
+	}
+
+	/**
+	 * Runs the seeders of an environment in one transaction.
+	 *
+	 * @param {string} environment - One of `environments`.
+	 * @param {Object} [options] - Options given to every seeder, such as the tenants and usersPerTenant to generate.
+	 * @returns {Promise<Array<string>>} Names of the seeders run.
+	 * @throws {Error} If the environment is unknown or a seeder fails, nothing is then kept.
+	 */
+	async run(environment, options = {}) {
+		if (!Object.hasOwn(this.#seeders, environment)) throw new Error(`Unknown seed environment "${environment}", expected one of ${this.environments.join(", ")}.`);
+		const context = await this.#databaseManager.acquireConnection("SEED");
+		const seeder = {
+			connection: this.#databaseManager,
+			logger: this.#logger,
+			options,
+			passwordHasher: new PasswordHasher(options.password),
+			findOrCreate: (Model, match, values) => SeedManager.findOrCreate(this.#databaseManager, Model, match, values),
+		};
+		try {
+			const names = await this.#databaseManager.run(context, async () => {
+				const names = [];
+				for (const { name, seed } of this.#seeders[environment]) {
+					this.#logger.info("SEED", `Running ${name} seeder...`);
+					await seed(seeder);
+					names.push(name);
+				}
+				return names;
+			});
+			if (this.#databaseManager.isTransactionActive(context)) await this.#databaseManager.commitTransaction(context);
+			this.#logger.info("SEED", `${environment} data seeded.`);
+			return names;
+		} catch (error) {
+			if (this.#databaseManager.isTransactionActive(context)) await this.#databaseManager.rollbackTransaction(context);
+			throw error;
+		} finally {
+			await this.#databaseManager.release(context);
+		}
+	}
+
+	/**
+	 * Returns the first row matching the given columns, inserting it with the given values when there is none.
+	 *
+	 * @static
+	 * @param {DatabaseManager} connection - The connection the model is created with.
+	 * @param {typeof Model} Model - A model class made by `Model.define()`.
+	 * @param {Object} match - Columns identifying the row.
+	 * @param {Object} [values] - Other columns of a created row.
+	 * @returns {Promise<Object>} The row found, or the created one with its id.
+	 */
+	static async findOrCreate(connection, Model, match, values = {}) {
+		const [row] = await new Model(connection).select().where(match).limit(1).execute();
+		if (row) return row;
+		const result = await new Model(connection).insert({ ...match, ...values }).execute();
+		return { id: result.insertId, ...match, ...values };
+	}
+}
+
+export default SeedManager;
@@ -1,15 +1,138 @@
 import Model from "./index.js";
+import Role from "./role.js";
+import Tenant from "./tenant.js";
+import PasswordHasher from "../managers/password.js";
+
+/**
+ * User model, the auth_token column holds the password hash and is never returned unless asked for
+ */
+export const User = Model.define({
+	table: 'users',
+	columns: {
+		id: { type: 'integer' },
+		tenant_id: { type: 'integer' },
+		username: { type: 'string' },
+		role_id: { type: 'integer' },
+		auth_token: { type: 'string', hidden: true },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+		deleted_at: { type: 'date' },
+		not_deleted: { type: 'boolean', hidden: true },
+	},
+	timestamps: true,
+	softDeletes: true,
+	searchable: ['username'],
+	relations: {
+		role: Model.belongsTo(() => Role, 'role_id'),
+		tenant: Model.belongsTo(() => Tenant, 'tenant_id'),
+	},
+});
 
 export default class AuthModel {
+	/**
+	 * Columns a user can change through update()
+	 * @type {Array<string>}
+	 */
+	static EDITABLE_COLUMNS = ['username', 'password', 'role_id'];
+
 	#model;
-	constructor(databaseConnection) {
-		this.#model = new Model("users", databaseConnection);
+	#databaseConnection;
+	#passwordHasher;
+	constructor(databaseConnection, passwordHasher = new PasswordHasher()) {
+		this.#databaseConnection = databaseConnection;
+		this.#model = new User(databaseConnection);
+		this.#passwordHasher = passwordHasher;
 	}
-	async login(username, password) {
-		return await this.#model.select().where({ username, auth_token: password }).limit(1).execute();
+
+	/**
+	 * Check the credentials of a user, the auth_token column holds the password hash
+	 * Hashes made with outdated parameters (or legacy plain text) are replaced on success
+	 * Usernames are only unique within a tenant, so the user is looked up in the given tenant
+	 * @param {number} tenantId - Tenant of the user
+	 * @param {string} username - Username of the user
+	 * @param {string} password - Plain password
+	 * @returns {Promise<Object|null>} - The user row, or null whether the tenant, the username or the password is wrong
+	 */
+	async login(tenantId, username, password) {
+		const user = Number.isSafeInteger(tenantId) && typeof username === 'string'
+			? (await this.#model.select().forTenant(tenantId).withHidden(['auth_token']).where({ username }).limit(1).execute())[0]
+			: undefined;
+		// An unknown user still costs a full verification so both failures look the same.
+		const valid = await this.#passwordHasher.verify(password, user?.auth_token);
+		if (!user || !valid) return null;
+		if (this.#passwordHasher.needsRehash(user.auth_token)) {
+			await this.#model.update({ auth_token: await this.#passwordHasher.hash(password) }).forTenant(tenantId).where({ id: user.id }).execute();
+		}
+		return user;
+	}
+
+	async getById(id) {
+		return (await this.#model.select().where({ id }).limit(1).execute())[0];
+	}
+
+	async getByIdInTenant(id, tenantId) {
+		return (await this.#model.select().where({ id, tenant_id: tenantId }).limit(1).execute())[0];
+	}
+
+	/**
+	 * Check whether a username is taken in a tenant, the username of a deleted user can be reused
+	 * @param {string} username - Username to check
+	 * @param {number} tenantId - Tenant of the user
+	 * @param {number} [exceptId] - User allowed to hold the username
+	 * @returns {Promise<boolean>}
+	 */
+	async usernameExists(username, tenantId, exceptId) {
+		const rows = await this.#model.select(['id']).where({ username, tenant_id: tenantId }).execute();
+		return rows.some(row => row.id !== exceptId);
+	}
+
+	async roleExistsInTenant(roleId, tenantId) {
+		const rows = await new Role(this.#databaseConnection).select(['id']).where({ id: roleId, tenant_id: tenantId }).limit(1).execute();
+		return rows.length > 0;
+	}
+
+	/**
+	 * Register a user with a hashed password
+	 * @param {Object} user - tenant_id, username, password and role_id of the user
+	 * @returns {Promise<Object>} - The created user without credentials
+	 */
+	async create({ tenant_id, username, password, role_id = null }) {
+		const auth_token = await this.#passwordHasher.hash(password);
+		const result = await this.#model.insert({ tenant_id, username, role_id, auth_token }).execute();
+		return { id: result.insertId, tenant_id, username, role_id };
+	}
+
+	/**
+	 * Partially update a user, only EDITABLE_COLUMNS are written and a password is stored hashed
+	 * @param {number} id - Id of the user
+	 * @param {number} tenantId - Tenant of the user
+	 * @param {Object} changes - Columns to change
+	 * @returns {Promise<Object>} - Result of the update
+	 */
+	async update(id, tenantId, changes) {
+		const data = {};
+		for (const column of AuthModel.EDITABLE_COLUMNS) {
+			if (changes[column] === undefined) continue;
+			if (column === 'password') data.auth_token = await this.#passwordHasher.hash(changes.password);
+			else data[column] = changes[column];
+		}
+		return await this.#model.update(data).where({ id, tenant_id: tenantId }).execute();
+	}
+
+	async delete(id, tenantId) {
+		return await this.#model.delete().where({ id, tenant_id: tenantId }).execute();
 	}
 
-	async getAll(searchTerm, limit, offset) {
-		return await this.#model.select().sr().search(searchTerm).limit(limit).offset(offset).execute();
+	/**
+	 * List the users with their role and the permissions of the role on each feature, newest first unless sorted otherwise
+	 * Rows of page numbers carry their position in the list as sr, rows of cursor pages do not
+	 * @param {ListQuery} listQuery - Filters, search and sort of the list
+	 * @param {Object} pagination - page, perPage and cursor, see Model.paginate
+	 * @returns {Promise<{data: Array<Object>, pagination: Object}>}
+	 */
+	async getAll(listQuery, pagination) {
+		const query = listQuery.applyTo(this.#model.select(), { defaultSort: '-created_at' });
+		if (!pagination.cursor) query.sr();
+		return await query.with('role.features').paginate(pagination);
 	}
 }
\ No newline at end of file
@@ -0,0 +1,196 @@
+import { BadRequestError } from "../managers/errors.js";
+
+/**
+ * Conditions class, the expression tree of a WHERE clause shared by every query type of Model
+ * Each condition is joined to the previous one with AND or OR, nested groups are rendered in parentheses
+ *
+ * Usage:
+ * conditions.where({ tenant_id: 1 })                 // tenant_id = ?
+ *   .where('created_at', '>=', '2024-01-01')         // AND created_at >= ?
+ *   .where(group => group.where('role_id', 1).orWhereNull('role_id')); // AND (role_id = ? OR role_id IS NULL)
+ */
+export default class Conditions {
+	/**
+	 * Comparison operators accepted by where(column, operator, value)
+	 * @type {Array<string>}
+	 */
+	static OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE'];
+
+	constructor() {
+		this.items = [];
+	}
+
+	/**
+	 * Add a condition joined with AND
+	 * Accepts an object of column/value equalities, (column, value), (column, operator, value) or a callback building a nested group
+	 * @returns {Conditions} - Returns this instance for chaining
+	 */
+	where(...args) {
+		return this._add('AND', args);
+	}
+
+	/**
+	 * Add a condition joined with OR, same arguments as where()
+	 * @returns {Conditions} - Returns this instance for chaining
+	 */
+	orWhere(...args) {
+		return this._add('OR', args);
+	}
+
+	whereIn(column, values) {
+		return this._push('AND', { type: 'in', column, values, not: false });
+	}
+
+	orWhereIn(column, values) {
+		return this._push('OR', { type: 'in', column, values, not: false });
+	}
+
+	whereNotIn(column, values) {
+		return this._push('AND', { type: 'in', column, values, not: true });
+	}
+
+	orWhereNotIn(column, values) {
+		return this._push('OR', { type: 'in', column, values, not: true });
+	}
+
+	/**
+	 * Add a BETWEEN condition joined with AND
+	 * @param {string} column - Column name
+	 * @param {Array} range - [min, max], both included
+	 * @returns {Conditions} - Returns this instance for chaining
+	 */
+	whereBetween(column, range) {
+		return this._push('AND', { type: 'between', column, range: this._range(range), not: false });
+	}
+
+	orWhereBetween(column, range) {
+		return this._push('OR', { type: 'between', column, range: this._range(range), not: false });
+	}
+
+	whereNotBetween(column, range) {
+		return this._push('AND', { type: 'between', column, range: this._range(range), not: true });
+	}
+
+	whereNull(column) {
+		return this._push('AND', { type: 'null', column, not: false });
+	}
+
+	orWhereNull(column) {
+		return this._push('OR', { type: 'null', column, not: false });
+	}
+
+	whereNotNull(column) {
+		return this._push('AND', { type: 'null', column, not: true });
+	}
+
+	orWhereNotNull(column) {
+		return this._push('OR', { type: 'null', column, not: true });
+	}
+
+	/**
+	 * Check whether no condition was added
+	 * @returns {boolean}
+	 */
+	isEmpty() {
+		return this.items.length === 0;
+	}
+
+	/**
+	 * Render the conditions, without the WHERE keyword
+	 * @param {Function} [qualify] - Maps a column name to the identifier used in the query
+	 * @returns {{sql: string, values: Array}} - SQL and its placeholder values, in order
+	 */
+	toSql(qualify = column => column) {
+		const values = [];
+		const sql = this.items.map((item, index) => {
+			const condition = this._renderItem(item, qualify, values);
+			return index === 0 ? condition : `${item.boolean} ${condition}`;
+		}).join(' ');
+		return { sql, values };
+	}
+
+	/**
+	 * @private
+	 */
+	_add(boolean, args) {
+		const [first] = args;
+		if (typeof first === 'function') {
+			const group = new Conditions();
+			first(group);
+			return group.isEmpty() ? this : this._push(boolean, { type: 'group', conditions: group });
+		}
+		if (args.length === 1 && first && typeof first === 'object') {
+			const group = new Conditions();
+			for (const [column, value] of Object.entries(first)) group.where(column, '=', value);
+			if (group.items.length <= 1 || boolean === 'AND') {
+				for (const [index, item] of group.items.entries()) this.items.push({ ...item, boolean: index === 0 ? boolean : 'AND' });
+				return this;
+			}
+			return this._push(boolean, { type: 'group', conditions: group });
+		}
+		if (args.length === 2) return this._add(boolean, [first, '=', args[1]]);
+		if (args.length !== 3) throw new InvalidQueryError('Invalid where arguments');
+		const [column, rawOperator, value] = args;
+		const operator = String(rawOperator).toUpperCase();
+		if (!Conditions.OPERATORS.includes(operator)) throw new InvalidQueryError(`Invalid where operator "${rawOperator}"`);
+		if (value === null && (operator === '=' || operator === '!=' || operator === '<>')) {
+			return this._push(boolean, { type: 'null', column, not: operator !== '=' });
+		}
+		return this._push(boolean, { type: 'basic', column, operator, value });
+	}
+
+	/**
+	 * @private
+	 */
+	_push(boolean, item) {
+		this.items.push({ boolean, ...item });
+		return this;
+	}
+
+	/**
+	 * @private
+	 */
+	_range(range) {
+		if (!Array.isArray(range) || range.length !== 2) throw new InvalidQueryError('A BETWEEN range needs exactly two values');
+		return range;
+	}
+
+	/**
+	 * @private
+	 */
+	_renderItem(item, qualify, values) {
+		switch (item.type) {
+			case 'basic':
+				values.push(item.value);
+				return `${qualify(item.column)} ${item.operator} ?`;
+			case 'in':
+				// IN () is not valid SQL: nothing is in an empty list.
+				if (item.values.length === 0) return item.not ? '1 = 1' : '1 = 0';
+				values.push(...item.values);
+				return `${qualify(item.column)} ${item.not ? 'NOT IN' : 'IN'} (${item.values.map(() => '?').join(', ')})`;
+			case 'between':
+				values.push(...item.range);
+				return `${qualify(item.column)} ${item.not ? 'NOT BETWEEN' : 'BETWEEN'} ? AND ?`;
+			case 'null':
+				return `${qualify(item.column)} IS ${item.not ? 'NOT NULL' : 'NULL'}`;
+			case 'group': {
+				const group = item.conditions.toSql(qualify);
+				values.push(...group.values);
+				return `(${group.sql})`;
+			}
+		}
+	}
+}
+
+/**
+ * Error class for query input that can not be turned into SQL: unknown columns, malformed identifiers,
+ * operators, sort directions, limits or offsets. Raised before the query reaches MySQL, answered with a 400.
+ *
+ * @class
+ * @extends {BadRequestError}
+ */
+export class InvalidQueryError extends BadRequestError {
+	constructor(message) {
+		super(message, null, 'INVALID_QUERY');
+	}
+}
@@ -0,0 +1,17 @@
+import Model from "./index.js";
+
+/**
+ * Feature model, the app_features table. Features are shared by every tenant, the feature_key is what routes require permissions on.
+ */
+const Feature = Model.define({
+	table: 'app_features',
+	tenantColumn: null,
+	columns: {
+		id: { type: 'integer' },
+		feature_key: { type: 'string' },
+		created_at: { type: 'date' },
+	},
+	timestamps: { updatedAt: false },
+});
+
+export default Feature;
@@ -1,7 +1,131 @@
+import Conditions, { InvalidQueryError } from "./conditions.js";
+import HttpError, { ForbiddenError } from "../managers/errors.js";
+
+export { InvalidQueryError };
+
 /**
  * Base Model class for database operations
+ *
+ * Queries are tenant scoped: once a tenant is bound to the request (DatabaseManager.bindTenant, done for
+ * every authenticated request) every select/update/delete is filtered on the tenant column and every
+ * insert is stamped with it. Tables without a tenant column opt out with `{ tenantColumn: null }`.
+ * A request bound to a null tenant (a user whose tenant was deleted) can not query them unless the
+ * query names its tenant with forTenant() or opts out with acrossTenants(reason), they are answered with a 403.
+ *
+ * Identifiers are never interpolated as given: table and column names are checked against the column
+ * allowlist of the model (`{ columns: [...] }`, any well formed name when omitted) and quoted with backticks.
+ * Invalid input throws an InvalidQueryError before anything is sent to MySQL.
+ *
+ * Tables are described once with Model.define():
+ * const User = Model.define({
+ *   table: 'users',
+ *   columns: { id: { type: 'integer' }, auth_token: { type: 'string', hidden: true }, role_id: { type: 'integer', default: null }, ... },
+ *   timestamps: true,
+ *   hooks: { beforeInsert: ({ rows }) => { ... } },
+ * });
+ * new User(connection).select().where({ id: 1 }).execute(); // rows are cast to the column types, hidden columns removed
+ *
+ * With `softDeletes: true` delete() only sets deleted_at: selects, updates and relations skip those rows unless
+ * withTrashed() or onlyTrashed() is used, restore() clears deleted_at and hardDelete() removes rows for good.
+ * Models without soft deletes only remove rows with hardDelete(), their delete() throws.
+ *
+ * paginate() runs a select one page at a time and resolves with { data, pagination }, see its description.
+ *
+ * Relations are declared in the definition and eager loaded with with(), one query per relation whatever the number of rows:
+ * relations: { role: Model.belongsTo(() => Role, 'role_id') }
+ * new User(connection).select().with('role', 'role.features').execute(); // [{ ..., role: { ..., features: [...] } }]
  */
 export default class Model {
+	/**
+	 * Maximum number of rows sent in one INSERT statement
+	 * @type {number}
+	 */
+	static INSERT_CHUNK_SIZE = 1000;
+
+	/**
+	 * Maximum number of placeholders MySQL accepts in a prepared statement
+	 * @type {number}
+	 */
+	static MAX_PLACEHOLDERS = 65535;
+
+	/**
+	 * Largest number of rows a select can ask for, bigger limits are lowered to it
+	 * @type {number}
+	 */
+	static MAX_LIMIT = 1000;
+
+	/**
+	 * Page size of paginate() when none is asked for
+	 * @type {number}
+	 */
+	static DEFAULT_PER_PAGE = 20;
+
+	/**
+	 * Largest page size of paginate(), bigger sizes are lowered to it
+	 * @type {number}
+	 */
+	static MAX_PER_PAGE = 100;
+
+	/**
+	 * Join types accepted by join()
+	 * @type {Array<string>}
+	 */
+	static JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT'];
+
+	/**
+	 * Shape of a table or column name
+	 * @type {RegExp}
+	 */
+	static IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+	/**
+	 * Column types of a definition
+	 * @type {Array<string>}
+	 */
+	static TYPES = ['integer', 'number', 'string', 'boolean', 'date', 'json'];
+
+	/**
+	 * Lifecycle hooks execute() runs, each receives { model, connection, rows|changes, result }
+	 * @type {Array<string>}
+	 */
+	static HOOKS = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+
+	/**
+	 * Relation to the one row of another model its foreign key points to
+	 * @param {Function} model - Returns the related model class, called lazily so models can reference each other
+	 * @param {string} foreignKey - Column of this model holding the key of the related row
+	 * @param {string} [ownerKey='id'] - Column of the related model the foreign key points to
+	 * @returns {Object} - Relation for the relations option of a definition
+	 */
+	static belongsTo(model, foreignKey, ownerKey = 'id') {
+		return { type: 'belongsTo', model, foreignKey, ownerKey };
+	}
+
+	/**
+	 * Relation to the rows of another model pointing to this one
+	 * @param {Function} model - Returns the related model class
+	 * @param {string} foreignKey - Column of the related model holding the key of this model
+	 * @param {string} [localKey='id'] - Column of this model the foreign key points to
+	 * @returns {Object} - Relation for the relations option of a definition
+	 */
+	static hasMany(model, foreignKey, localKey = 'id') {
+		return { type: 'hasMany', model, foreignKey, localKey };
+	}
+
+	/**
+	 * Relation to the rows of another model through a pivot model
+	 * Pivot columns are returned under `as` on each related row, cast with the definition of the pivot model
+	 * @param {Function} model - Returns the related model class
+	 * @param {Function} pivot - Returns the pivot model class
+	 * @param {string} foreignPivotKey - Pivot column holding the key of this model
+	 * @param {string} relatedPivotKey - Pivot column holding the key of the related model
+	 * @param {Object} [options] - parentKey and relatedKey (both 'id'), pivotColumns to return and their key `as` ('pivot')
+	 * @returns {Object} - Relation for the relations option of a definition
+	 */
+	static belongsToMany(model, pivot, foreignPivotKey, relatedPivotKey, { parentKey = 'id', relatedKey = 'id', pivotColumns = [], as = 'pivot' } = {}) {
+		return { type: 'belongsToMany', model, pivot, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, pivotColumns, as };
+	}
+
 	/**
 	 * SQL query string
 	 * @type {string}
@@ -13,17 +137,56 @@ export default class Model {
 	 * @type {DatabaseManager}
 	 */
 	#connection;
+
 	/**
 	 * Creates a new Model instance
 	 * @param {string} tableName - Name of the database table
 	 * @param {DatabaseManager} connection - Database manager instance
+	 * @param {Object} [options] - Model options
+	 * @param {string|null} [options.tenantColumn='tenant_id'] - Column holding the tenant of a row, null if the table is not tenant scoped
+	 * @param {Array<string>|Object<string, Object>|null} [options.columns=null] - Columns of the table queries may reference, as names or
+	 * as definitions ({ type, hidden, default }), null to accept any well formed name
+	 * @param {boolean|Object} [options.timestamps=false] - Set created_at and updated_at, or { createdAt, updatedAt } column names (false to skip one)
+	 * @param {Object<string, Function|Array<Function>>} [options.hooks={}] - Lifecycle hooks by name, see HOOKS
+	 * @param {Object<string, Object>} [options.relations={}] - Relations by name, made with belongsTo, hasMany and belongsToMany
+	 * @param {boolean|string} [options.softDeletes=false] - Soft delete rows by setting deleted_at, or the name of the column to set
+	 * @param {Array<string>} [options.searchable=[]] - Columns the q parameter of a list searches, see ListQuery
 	 */
-	constructor(tableName, connection) {
+	constructor(tableName, connection, { tenantColumn = 'tenant_id', columns = null, timestamps = false, hooks = {}, relations = {}, softDeletes = false, searchable = [] } = {}) {
 		this.tableName = tableName;
+		this.tenantColumn = tenantColumn;
+		this.definitions = Array.isArray(columns) ? Object.fromEntries(columns.map(column => [column, {}])) : columns;
+		this.columns = this.definitions ? new Set(Object.keys(this.definitions)) : null;
+		this.timestamps = Model._timestampColumns(timestamps);
+		this.hooks = Model._hookList(hooks);
+		this.relations = relations;
+		this.softDeletes = softDeletes === true ? 'deleted_at' : softDeletes || null;
+		this.searchable = searchable;
 		this.#connection = connection;
 		this._resetQuery();
 	}
 
+	/**
+	 * Declare a model: returns a Model class bound to the table and options of the definition
+	 * @param {Object} definition - table name and the options of the constructor
+	 * @returns {typeof Model} - Class constructed with the database connection only
+	 */
+	static define({ table, ...options }) {
+		for (const [column, definition] of Object.entries(options.columns ?? {})) {
+			if (definition.type && !Model.TYPES.includes(definition.type)) throw new Error(`Invalid type "${definition.type}" for ${table}.${column}`);
+		}
+		for (const name of Object.keys(options.hooks ?? {})) {
+			if (!Model.HOOKS.includes(name)) throw new Error(`Unknown hook "${name}" on ${table}, expected one of ${Model.HOOKS.join(', ')}`);
+		}
+		return class extends Model {
+			static table = table;
+			static options = options;
+			constructor(connection) {
+				super(table, connection, options);
+			}
+		};
+	}
+
 	/**
 	 * Reset query builder
 	 */
@@ -34,17 +197,73 @@ export default class Model {
 			select: [],
 			columns: [],
 			values: [],
-			where: {},
-			whereIn: [],
+			where: new Conditions(),
+			scopes: [],
 			joins: [],
-			search: {},
 			limit: null,
 			offset: null,
-			orderBy: null,
-			order: null
+			orderBy: [],
+			rows: [],
+			insertMode: null,
+			upsertColumns: [],
+			tenantId: undefined,
+			allTenants: false,
+			data: null,
+			visible: [],
+			with: [],
+			trashed: 'without',
+			rowNumbers: false
 		};
 	}
 
+	/**
+	 * Scope the query to a tenant instead of the one bound to the request
+	 * @param {number} tenantId - Id of the tenant
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	forTenant(tenantId) {
+		if (tenantId === undefined || tenantId === null) throw new Error('A tenant id is required to scope a query.');
+		this.query.tenantId = tenantId;
+		return this;
+	}
+
+	/**
+	 * Run the query on the rows of every tenant, for cross-tenant admin queries only
+	 * The use is logged with the reason so it can be audited
+	 * @param {string} reason - Why the query needs to see every tenant
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	acrossTenants(reason) {
+		if (!reason) throw new Error('A reason is required to query across tenants.');
+		this.query.allTenants = reason;
+		return this;
+	}
+
+	/**
+	 * Keep hidden columns in the results of this query, for internal use such as checking credentials
+	 * @param {Array<string>} columns - Hidden columns to return
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	withHidden(columns) {
+		columns.forEach(column => this._checkColumn(column));
+		this.query.visible.push(...columns);
+		return this;
+	}
+
+	/**
+	 * Eager load relations with the rows of this select, nested relations are reached with a dot ('role.features')
+	 * @param {...string} relations - Names of relations of the model
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	with(...relations) {
+		for (const path of relations.flat()) {
+			const [name] = String(path).split('.');
+			if (!Object.hasOwn(this.relations, name)) throw new InvalidQueryError(`Unknown relation "${name}" on ${this.tableName}`);
+			this.query.with.push(path);
+		}
+		return this;
+	}
+
 	/**
 	 * Select specific columns
 	 * @param {Array<string>} columns - Array of column names
@@ -52,24 +271,52 @@ export default class Model {
 	 */
 	select(columns = ['*']) {
 		this.query.type = 'select';
-		this.query.select.push(columns.map(column => `${this.tableName}.${column}`).join(', '));
+		this.query.select.push(columns.map(column => column === '*' ? `${this._identifier(this.tableName)}.*` : this._column(column)).join(', '));
 		return this;
 	}
 
 	/**
 	 * Insert data into table
-	 * @param {Array<Object>} data - Array of objects to insert
-	 * @returns {Promise} - Returns promise with insert result
+	 * Values are sent as placeholders; a column missing from a row gets the default of its definition, or its DEFAULT
+	 * Large batches are split in chunks of INSERT_CHUNK_SIZE rows, atomic only inside a transaction
+	 * @param {Object|Array<Object>} data - Object or array of objects to insert
+	 * @returns {Model} - Returns this instance for chaining, execute() resolves with { insertId, affectedRows }
 	 */
 	insert(data) {
+		const rows = Array.isArray(data) ? data : [data];
+		if (rows.length === 0 || !rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) throw new Error('Invalid data type for insert');
 		this.query.type = 'insert';
-		if (Array.isArray(data)) {
-			this.query.columns = Object.keys(data[0]);
-			this.query.values = data.map(item => Object.values(item));
-		} else if (typeof data === 'object') {
-			this.query.columns = Object.keys(data);
-			this.query.values = Object.values(data);
-		} else throw new Error('Invalid data type for insert');
+		this.query.insertMode = 'insert';
+		this.query.data = rows.map(row => ({ ...row }));
+		this.query.data.forEach(row => Object.keys(row).forEach(column => this._checkColumn(column)));
+		return this;
+	}
+
+	/**
+	 * Insert data, skipping rows that would violate a unique key (INSERT IGNORE)
+	 * @param {Object|Array<Object>} data - Object or array of objects to insert
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	insertIgnore(data) {
+		this.insert(data);
+		this.query.insertMode = 'ignore';
+		return this;
+	}
+
+	/**
+	 * Insert data, updating the existing row when a unique key matches (INSERT ... ON DUPLICATE KEY UPDATE)
+	 * @param {Object|Array<Object>} data - Object or array of objects to insert
+	 * @param {Array<string>} [updateColumns] - Columns to update on duplicates, defaults to every inserted column
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	upsert(data, updateColumns) {
+		this.insert(data);
+		this.query.insertMode = 'upsert';
+		if (updateColumns) {
+			if (updateColumns.length === 0) throw new Error('No columns to update on duplicate key');
+			updateColumns.forEach(column => this._checkColumn(column));
+			this.query.upsertColumns = updateColumns;
+		}
 		return this;
 	}
 
@@ -80,38 +327,128 @@ export default class Model {
 	 */
 	update(data) {
 		this.query.type = 'update';
-		this.query.columns = Object.keys(data);
-		this.query.values = Object.values(data);
+		this.query.data = { ...data };
+		Object.keys(data).forEach(column => this._checkColumn(column));
 		return this;
 	}
 
+	/**
+	 * Soft delete rows, models without soft deletes remove rows with hardDelete() instead
+	 * @returns {Model} - Returns this instance for chaining
+	 */
 	delete() {
+		if (!this.softDeletes) throw new Error(`${this.tableName} does not use soft deletes, use hardDelete() to remove rows`);
 		this.query.type = 'delete';
 		return this;
 	}
 
+	/**
+	 * Remove rows from the table, soft deleted ones included
+	 * @returns {Model} - Returns this instance for chaining
+	 */
 	hardDelete() {
 		this.query.type = 'delete-hard';
 		return this;
 	}
 
 	/**
-	 * Add WHERE clause conditions
-	 * @param {Object} conditions - Key-value pairs of conditions
+	 * Bring soft deleted rows back
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	restore() {
+		if (!this.softDeletes) throw new Error(`${this.tableName} does not use soft deletes`);
+		this.query.type = 'restore';
+		return this;
+	}
+
+	/**
+	 * Include soft deleted rows in the query
 	 * @returns {Model} - Returns this instance for chaining
 	 */
-	where(conditions) {
-		this.query.where = { ...this.query.where, ...conditions };
+	withTrashed() {
+		this.query.trashed = 'with';
+		return this;
+	}
+
+	/**
+	 * Only query soft deleted rows
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	onlyTrashed() {
+		this.query.trashed = 'only';
+		return this;
+	}
+
+	/**
+	 * Add WHERE clause conditions, joined with AND
+	 * Accepts key-value pairs of equalities (a null value checks IS NULL), (column, value),
+	 * (column, operator, value) or a callback receiving a Conditions group for nested (a OR b) conditions
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	where(...args) {
+		this.query.where.where(...args);
+		return this;
+	}
+
+	/**
+	 * Add WHERE clause conditions joined with OR, same arguments as where()
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	orWhere(...args) {
+		this.query.where.orWhere(...args);
 		return this;
 	}
 
 	/**
 	 * Add WHERE IN clause
+	 * @param {string} column - Column name
 	 * @param {Array} values - Array of values for WHERE IN clause
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	whereIn(column, values) {
-		this.query.whereIn.push({ column, values });
+		this.query.where.whereIn(column, values);
+		return this;
+	}
+
+	/**
+	 * Add WHERE NOT IN clause
+	 * @param {string} column - Column name
+	 * @param {Array} values - Array of excluded values
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	whereNotIn(column, values) {
+		this.query.where.whereNotIn(column, values);
+		return this;
+	}
+
+	/**
+	 * Add WHERE BETWEEN clause
+	 * @param {string} column - Column name
+	 * @param {Array} range - [min, max], both included
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	whereBetween(column, range) {
+		this.query.where.whereBetween(column, range);
+		return this;
+	}
+
+	/**
+	 * Add WHERE column IS NULL clause
+	 * @param {string} column - Column name
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	whereNull(column) {
+		this.query.where.whereNull(column);
+		return this;
+	}
+
+	/**
+	 * Add WHERE column IS NOT NULL clause
+	 * @param {string} column - Column name
+	 * @returns {Model} - Returns this instance for chaining
+	 */
+	whereNotNull(column) {
+		this.query.where.whereNotNull(column);
 		return this;
 	}
 
@@ -119,23 +456,32 @@ export default class Model {
 	 * Add JOIN clause
 	 * @param {string} type - Type of join (LEFT, RIGHT, INNER)
 	 * @param {string} table - Table to join with
-	 * @param {Object} conditions - Join conditions
+	 * @param {string} conditions - Equality of two qualified columns, e.g. 'app_features.id = roles_permissions.feature_id'
+	 * @param {Array<string>} [columns=['*']] - Columns of the joined table to select, none to only filter on the join
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	join(type, table, conditions, columns = ['*']) {
-		if (arguments.length === 4) {
-			this.query.joins.push({ type, table, conditions });
-			this.query.select.push(columns.map(column => `${table}.${column}`).join(', '));
-		}
+		const joinType = String(type).toUpperCase();
+		if (!Model.JOIN_TYPES.includes(joinType)) throw new InvalidQueryError(`Invalid join type "${type}"`);
+		this._identifier(table);
+		this.query.joins.push({ type: joinType, table });
+		const match = typeof conditions === 'string' && conditions.match(/^\s*([\w.]+)\s*=\s*([\w.]+)\s*$/);
+		if (!match) throw new InvalidQueryError(`Invalid join conditions "${conditions}"`);
+		this.query.joins.at(-1).conditions = `${this._column(match[1])} = ${this._column(match[2])}`;
+		if (columns.length) this.query.select.push(columns.map(column => column === '*' ? `${this._identifier(table)}.*` : this._column(`${table}.${column}`)).join(', '));
 		return this;
 	}
 
 	/**
 	 * Add ROW_NUMBER() OVER (ORDER BY column [ASC|DESC]) AS sr
+	 * Rows are numbered within the rows the query reads, so paginate() only accepts it with page numbers: a cursor page
+	 * would restart at 1
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	sr() {
-		this.query.select.push('ROW_NUMBER() OVER (ORDER BY ' + (this.query.orderBy || 'created_at') + ' ' + (this.query.order || 'DESC') + ') AS sr');
+		const [order = { column: 'created_at', direction: 'DESC' }] = this.query.orderBy;
+		this.query.rowNumbers = true;
+		this.query.select.push('ROW_NUMBER() OVER (ORDER BY ' + this._column(order.column) + ' ' + order.direction + ') AS sr');
 		return this;
 	}
 
@@ -154,35 +500,116 @@ export default class Model {
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	search(conditions) {
-		if (conditions) this.query.search = { ...this.query.search, ...conditions };
+		if (conditions) Object.entries(conditions).forEach(([column, keyword]) => {
+			this._column(column);
+			this.query.where.where(column, 'LIKE', keyword);
+		});
 		return this;
 	}
 
+	/**
+	 * Add a column to the order of the rows, rows equal on it are ordered by the next one
+	 * @param {string} [column='created_at'] - Column to sort on
+	 * @param {string} [order='DESC'] - ASC or DESC
+	 * @returns {Model} - Returns this instance for chaining
+	 */
 	orderBy(column = 'created_at', order = 'DESC') {
-		this.query.orderBy = column;
-		this.query.order = order;
+		const direction = String(order).toUpperCase();
+		if (direction !== 'ASC' && direction !== 'DESC') throw new InvalidQueryError(`Invalid sort direction "${order}", expected ASC or DESC`);
+		this._column(column);
+		this.query.orderBy.push({ column, direction });
 		return this;
 	}
+
 	/**
-	 * Set limit for pagination
-	 * @param {number} limit - Number of rows to fetch
+	 * Set limit for pagination, lowered to MAX_LIMIT
+	 * @param {number|string} limit - Number of rows to fetch, ignored when empty
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	limit(limit) {
-		if (limit) this.query.limit = limit;
+		if (limit === undefined || limit === null || limit === '') return this;
+		const value = this._integer(limit, 'limit');
+		if (value < 1) throw new InvalidQueryError('The limit must be at least 1');
+		this.query.limit = Math.min(value, Model.MAX_LIMIT);
 		return this;
 	}
 
 	/**
 	 * Set offset for pagination
-	 * @param {number} offset - Number of rows to skip
+	 * @param {number|string} offset - Number of rows to skip, ignored when empty
 	 * @returns {Model} - Returns this instance for chaining
 	 */
 	offset(offset) {
-		if (offset) this.query.offset = offset;
+		if (offset === undefined || offset === null || offset === '') return this;
+		this.query.offset = this._integer(offset, 'offset');
 		return this;
 	}
 
+	/**
+	 * Execute the select one page at a time
+	 * The order always ends with the tiebreaker column, so rows never move between pages. Pages are reached either by
+	 * number (page, with a COUNT query for the total) or by keyset cursor, which seeks past the last row seen instead of
+	 * skipping rows and stays fast on big tables. Every page carries the cursors of the pages around it, so a client
+	 * can start with page numbers and follow the cursors. Order columns must not be NULL for cursors to seek correctly,
+	 * and sr() is rejected with a cursor.
+	 * @param {Object} [options]
+	 * @param {number|string} [options.page=1] - Page number, ignored when a cursor is given
+	 * @param {number|string} [options.perPage=DEFAULT_PER_PAGE] - Rows per page, lowered to MAX_PER_PAGE
+	 * @param {string} [options.cursor] - nextCursor or prevCursor of a previous page
+	 * @param {string} [options.tiebreaker='id'] - Unique column ending the order
+	 * @returns {Promise<{data: Array<Object>, pagination: Object}>} - The rows and page, perPage, total (page numbers only),
+	 * hasMore, nextCursor and prevCursor
+	 */
+	async paginate({ page, perPage, cursor, tiebreaker = 'id' } = {}) {
+		const size = perPage === undefined || perPage === null || perPage === '' ? Model.DEFAULT_PER_PAGE : this._integer(perPage, 'perPage');
+		if (size < 1) throw new InvalidQueryError('The perPage must be at least 1');
+		const limit = Math.min(size, Model.MAX_PER_PAGE);
+		if (!this.query.orderBy.some(order => order.column === tiebreaker)) this.orderBy(tiebreaker, this.query.orderBy.at(-1)?.direction ?? 'ASC');
+		const orders = this.query.orderBy;
+
+		if (cursor) {
+			if (this.query.rowNumbers) throw new InvalidQueryError('sr() numbers the rows of page numbers only, it can not be used with a cursor');
+			const { direction, values } = this._decodeCursor(cursor, orders);
+			this.query.scopes.push(this._keysetConditions(orders, values, direction));
+			if (direction === 'before') this.query.orderBy = orders.map(order => ({ ...order, direction: order.direction === 'ASC' ? 'DESC' : 'ASC' }));
+			this.query.limit = limit + 1;
+			const rows = await this.execute();
+			const more = rows.length > limit;
+			const data = rows.slice(0, limit);
+			if (direction === 'before') data.reverse();
+			return {
+				data,
+				pagination: {
+					page: null,
+					perPage: limit,
+					total: null,
+					hasMore: direction === 'after' ? more : true,
+					nextCursor: data.length > 0 && (direction === 'before' || more) ? this._encodeCursor(orders, data.at(-1), 'after') : null,
+					prevCursor: data.length > 0 && (direction === 'after' || more) ? this._encodeCursor(orders, data[0], 'before') : null,
+				},
+			};
+		}
+
+		const number = page === undefined || page === null || page === '' ? 1 : this._integer(page, 'page');
+		if (number < 1) throw new InvalidQueryError('The page must be at least 1');
+		const total = await this._count();
+		this.query.limit = limit;
+		this.query.offset = (number - 1) * limit;
+		const data = await this.execute();
+		const hasMore = number * limit < total;
+		return {
+			data,
+			pagination: {
+				page: number,
+				perPage: limit,
+				total,
+				hasMore,
+				nextCursor: hasMore && data.length > 0 ? this._encodeCursor(orders, data.at(-1), 'after') : null,
+				prevCursor: number > 1 && data.length > 0 ? this._encodeCursor(orders, data[0], 'before') : null,
+			},
+		};
+	}
+
 	/**
 	 * Execute the built query
 	 * @returns {Promise} - Returns promise with query result
@@ -190,16 +617,458 @@ export default class Model {
 	async execute() {
 		try {
 			let result;
-			this._prepareQueryString();
-			result = await this.#connection.executeQuery(this.#sql, this.query.values);
+			switch (this.query.type) {
+				case 'insert': {
+					const rows = this.query.data;
+					this._applyTenantScope();
+					this._applyDefaults(rows);
+					await this._runHooks('beforeInsert', { rows });
+					this._prepareInsertRows(rows);
+					result = await this._executeInsert();
+					await this._runHooks('afterInsert', { rows, result });
+					break;
+				}
+				case 'update': {
+					const changes = this.query.data;
+					if (this.timestamps.updatedAt && changes[this.timestamps.updatedAt] === undefined) changes[this.timestamps.updatedAt] = new Date();
+					await this._runHooks('beforeUpdate', { changes });
+					this.query.columns = Object.keys(changes);
+					this.query.values = this.query.columns.map(column => this._toDatabase(column, changes[column]));
+					this._applyTenantScope();
+					this._applySoftDeleteScope();
+					this._prepareQueryString();
+					result = await this.#connection.executeQuery(this.#sql, this.query.values);
+					await this._runHooks('afterUpdate', { changes, result });
+					break;
+				}
+				case 'delete':
+				case 'delete-hard': {
+					await this._runHooks('beforeDelete', {});
+					if (this.query.type === 'delete') this._setDeletedAt(new Date());
+					this._applyTenantScope();
+					this._applySoftDeleteScope();
+					this._prepareQueryString();
+					result = await this.#connection.executeQuery(this.#sql, this.query.values);
+					await this._runHooks('afterDelete', { result });
+					break;
+				}
+				case 'restore': {
+					this._setDeletedAt(null);
+					this._applyTenantScope();
+					this._applySoftDeleteScope();
+					this._prepareQueryString();
+					result = await this.#connection.executeQuery(this.#sql, this.query.values);
+					break;
+				}
+				default: {
+					this._applyTenantScope();
+					this._applySoftDeleteScope();
+					this._prepareQueryString();
+					result = this._serialize(await this.#connection.executeQuery(this.#sql, this.query.values));
+					if (this.query.with.length > 0) await this._eagerLoad(result, this.query.with);
+				}
+			}
 			this._resetQuery();
 			return result;
 		} catch (error) {
-			console.log(error);
-			throw new Error(`Query execution failed: ${error.message}`);
+			this._resetQuery();
+			// Errors meant for the client, such as an InvalidQueryError, are answered as they are.
+			if (error instanceof HttpError) throw error;
+			throw new Error(`Query execution failed: ${error.message}`, { cause: error });
+		}
+	}
+
+	/**
+	 * Count the rows the select would return, keeping the query to execute it afterwards
+	 * @private
+	 * @returns {Promise<number>}
+	 */
+	async _count() {
+		const query = { ...this.query, scopes: [...this.query.scopes], values: [...this.query.values] };
+		this.query.type = 'count';
+		this.query.with = [];
+		const [row] = await this.execute();
+		this.query = query;
+		return Number(row?.total ?? 0);
+	}
+
+	/**
+	 * Conditions selecting the rows after (or before) the ones holding the values, in the given order:
+	 * (a > ?) OR (a = ? AND b > ?) OR ...
+	 * @private
+	 * @param {Array<{column: string, direction: string}>} orders - Order of the query
+	 * @param {Array} values - Values of the order columns in the cursor row
+	 * @param {string} direction - after or before
+	 * @returns {Conditions}
+	 */
+	_keysetConditions(orders, values, direction) {
+		return new Conditions().where(group => orders.forEach((order, index) => group.orWhere(seek => {
+			orders.slice(0, index).forEach((previous, position) => seek.where(previous.column, values[position]));
+			seek.where(order.column, (order.direction === 'ASC') === (direction === 'after') ? '>' : '<', values[index]);
+		})));
+	}
+
+	/**
+	 * Make the cursor of a row, the values of its order columns
+	 * @private
+	 * @returns {string} - Opaque base64url cursor
+	 */
+	_encodeCursor(orders, row, direction) {
+		const values = orders.map(order => {
+			const key = order.column.split('.').at(-1);
+			if (!(key in row)) throw new InvalidQueryError(`Pagination needs the order column ${order.column} to be selected`);
+			return row[key] instanceof Date ? { date: row[key].toISOString() } : row[key];
+		});
+		const signature = orders.map(order => `${order.column} ${order.direction}`).join(',');
+		return Buffer.from(JSON.stringify({ signature, direction, values })).toString('base64url');
+	}
+
+	/**
+	 * Read a cursor made by _encodeCursor for the same order
+	 * @private
+	 * @returns {{direction: string, values: Array}}
+	 */
+	_decodeCursor(cursor, orders) {
+		let decoded;
+		try {
+			decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+		} catch {
+			throw new InvalidQueryError('Invalid cursor');
+		}
+		const signature = orders.map(order => `${order.column} ${order.direction}`).join(',');
+		if (decoded?.signature !== signature || !['after', 'before'].includes(decoded.direction) || !Array.isArray(decoded.values) || decoded.values.length !== orders.length) {
+			throw new InvalidQueryError('Invalid cursor, it does not belong to this listing or its order');
+		}
+		return {
+			direction: decoded.direction,
+			values: decoded.values.map(value => value && typeof value === 'object' && typeof value.date === 'string' ? new Date(value.date) : value),
+		};
+	}
+
+	/**
+	 * Quote a table or column name
+	 * @private
+	 * @param {string} name - Table or column name
+	 * @returns {string} - The name in backticks
+	 */
+	_identifier(name) {
+		if (typeof name !== 'string' || !Model.IDENTIFIER.test(name)) throw new InvalidQueryError(`Invalid identifier "${name}"`);
+		return `\`${name}\``;
+	}
+
+	/**
+	 * Check a column of the table against the allowlist of the model
+	 * @private
+	 * @param {string} column - Column name, without table
+	 * @returns {string} - The quoted column name
+	 */
+	_checkColumn(column) {
+		const identifier = this._identifier(column);
+		if (this.columns && !this.columns.has(column)) throw new InvalidQueryError(`Unknown column "${column}" on ${this.tableName}`);
+		return identifier;
+	}
+
+	/**
+	 * Qualify and quote a column, columns without a table belong to the table of the model
+	 * Columns of joined tables are only checked for their shape, the allowlist is the one of the model
+	 * @private
+	 * @param {string} column - Column name, optionally prefixed with its table
+	 * @returns {string} - `table`.`column`
+	 */
+	_column(column) {
+		if (typeof column !== 'string') throw new InvalidQueryError(`Invalid identifier "${column}"`);
+		const parts = column.split('.');
+		if (parts.length === 1 || (parts.length === 2 && parts[0] === this.tableName)) return `${this._identifier(this.tableName)}.${this._checkColumn(parts.at(-1))}`;
+		if (parts.length !== 2 || !this.query.joins.some(join => join.table === parts[0])) throw new InvalidQueryError(`Invalid column "${column}"`);
+		return `${this._identifier(parts[0])}.${this._identifier(parts[1])}`;
+	}
+
+	/**
+	 * Coerce a limit or offset to a non negative integer
+	 * @private
+	 * @param {number|string} value - Value given by the caller
+	 * @param {string} name - Name of the value, for the error message
+	 * @returns {number}
+	 */
+	_integer(value, name) {
+		const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+		if (!Number.isSafeInteger(number) || number < 0) throw new InvalidQueryError(`The ${name} must be a non negative integer`);
+		return number;
+	}
+
+	/**
+	 * Add the tenant condition, or the tenant column of inserted rows, for the tenant of the query
+	 * @private
+	 */
+	_applyTenantScope() {
+		if (!this.tenantColumn) return;
+		if (this.query.allTenants) {
+			this.#connection.logger?.warn(this.#connection.currentRequestId, `Cross-tenant ${this.query.type} on ${this.tableName}. Reason: ${this.query.allTenants}`);
+			return;
+		}
+		const context = this.#connection.getContext?.();
+		// A request that bound a tenant never runs unscoped, even when the tenant of its user is gone.
+		if (this.query.tenantId === undefined && context && Object.hasOwn(context, 'tenantId') && (context.tenantId === undefined || context.tenantId === null)) {
+			this.#connection.logger?.warn(this.#connection.currentRequestId, `${this.query.type} on ${this.tableName} refused, the request has no tenant. Use acrossTenants() for cross-tenant queries.`);
+			throw new ForbiddenError('Your account does not belong to a tenant.');
+		}
+		const tenantId = this.query.tenantId ?? context?.tenantId;
+		if (tenantId === undefined || tenantId === null) return;
+		if (this.query.type !== 'insert') {
+			this.query.scopes.push(new Conditions().where(this.tenantColumn, tenantId));
+			return;
+		}
+		this.query.data.forEach(row => { row[this.tenantColumn] = tenantId; });
+	}
+
+	/**
+	 * Exclude soft deleted rows, or keep only them for onlyTrashed() and restore()
+	 * A hard delete reaches every row
+	 * @private
+	 */
+	_applySoftDeleteScope() {
+		if (!this.softDeletes || this.query.type === 'delete-hard' || this.query.trashed === 'with') return;
+		const conditions = new Conditions();
+		if (this.query.trashed === 'only' || this.query.type === 'restore') conditions.whereNotNull(this.softDeletes);
+		else conditions.whereNull(this.softDeletes);
+		this.query.scopes.push(conditions);
+	}
+
+	/**
+	 * Set the columns written by a soft delete or a restore
+	 * @private
+	 * @param {Date|null} deletedAt - Deletion time, null to restore
+	 */
+	_setDeletedAt(deletedAt) {
+		this.query.columns = [this.softDeletes];
+		this.query.values = [deletedAt];
+		if (this.timestamps.updatedAt) {
+			this.query.columns.push(this.timestamps.updatedAt);
+			this.query.values.push(new Date());
+		}
+	}
+
+	/**
+	 * Fill the columns missing from inserted rows with the defaults of their definition and the managed timestamps
+	 * @private
+	 * @param {Array<Object>} rows - Rows to insert
+	 */
+	_applyDefaults(rows) {
+		const now = new Date();
+		const defaults = Object.entries(this.definitions ?? {}).filter(([, definition]) => definition.default !== undefined);
+		for (const row of rows) {
+			for (const [column, definition] of defaults) {
+				if (row[column] === undefined) row[column] = typeof definition.default === 'function' ? definition.default() : definition.default;
+			}
+			for (const column of [this.timestamps.createdAt, this.timestamps.updatedAt]) {
+				if (column && row[column] === undefined) row[column] = now;
+			}
+		}
+	}
+
+	/**
+	 * Turn the rows to insert into the column list and value tuples of the statement
+	 * On upsert without update columns every inserted column is updated, except the creation time and the tenant
+	 * @private
+	 * @param {Array<Object>} rows - Rows to insert
+	 */
+	_prepareInsertRows(rows) {
+		this.query.columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+		this.query.rows = rows.map(row => this.query.columns.map(column => this._toDatabase(column, row[column])));
+		if (this.query.insertMode === 'upsert' && this.query.upsertColumns.length === 0) {
+			this.query.upsertColumns = this.query.columns.filter(column => column !== this.timestamps.createdAt && column !== this.tenantColumn);
+			if (this.query.upsertColumns.length === 0) throw new Error('No columns to update on duplicate key');
+		}
+	}
+
+	/**
+	 * Run the hooks registered for an event, in order
+	 * @private
+	 * @param {string} name - Hook name, one of HOOKS
+	 * @param {Object} event - Data of the event, the hooks may change rows and changes
+	 */
+	async _runHooks(name, event) {
+		for (const hook of this.hooks[name] ?? []) await hook({ ...event, model: this, connection: this.#connection });
+	}
+
+	/**
+	 * Load the relations of the rows of a select and attach them to each row
+	 * @private
+	 * @param {Array<Object>} rows - Serialized rows
+	 * @param {Array<string>} paths - Relations to load, nested ones separated with dots
+	 */
+	async _eagerLoad(rows, paths) {
+		const nested = new Map();
+		for (const path of paths) {
+			const [name, ...rest] = path.split('.');
+			if (!nested.has(name)) nested.set(name, []);
+			if (rest.length > 0) nested.get(name).push(rest.join('.'));
+		}
+		for (const [name, children] of nested) await this._loadRelation(name, this.relations[name], rows, children);
+	}
+
+	/**
+	 * Load one relation for every row with a single query
+	 * @private
+	 * @param {string} name - Name of the relation, the key it is attached under
+	 * @param {Object} relation - The relation
+	 * @param {Array<Object>} rows - Serialized rows
+	 * @param {Array<string>} children - Relations of the related model to load with it
+	 */
+	async _loadRelation(name, relation, rows, children) {
+		const Related = relation.model();
+		const localKey = relation.type === 'belongsTo' ? relation.foreignKey : relation.type === 'hasMany' ? relation.localKey : relation.parentKey;
+		if (rows.length > 0 && !(localKey in rows[0])) throw new InvalidQueryError(`Relation "${name}" needs ${this.tableName}.${localKey} to be selected`);
+		const keys = [...new Set(rows.map(row => row[localKey]).filter(key => key !== null && key !== undefined))];
+		const query = new Related(this.#connection).select().with(children);
+		switch (relation.type) {
+			case 'belongsTo': {
+				const related = keys.length > 0 ? await query.whereIn(relation.ownerKey, keys).execute() : [];
+				const byKey = new Map(related.map(row => [row[relation.ownerKey], row]));
+				rows.forEach(row => { row[name] = byKey.get(row[localKey]) ?? null; });
+				break;
+			}
+			case 'hasMany': {
+				const related = keys.length > 0 ? await query.whereIn(relation.foreignKey, keys).execute() : [];
+				rows.forEach(row => { row[name] = related.filter(item => item[relation.foreignKey] === row[localKey]); });
+				break;
+			}
+			case 'belongsToMany': {
+				const Pivot = relation.pivot();
+				const pivotColumns = Pivot.options.columns ?? {};
+				const related = keys.length > 0 ? await query
+					.join('INNER', Pivot.table, `${Pivot.table}.${relation.relatedPivotKey} = ${Related.table}.${relation.relatedKey}`, [relation.foreignPivotKey, ...relation.pivotColumns])
+					.whereIn(`${Pivot.table}.${relation.foreignPivotKey}`, keys)
+					.execute() : [];
+				const byParent = new Map();
+				for (const item of related) {
+					const parentKey = Model._cast(pivotColumns[relation.foreignPivotKey]?.type, item[relation.foreignPivotKey]);
+					const pivot = {};
+					for (const column of relation.pivotColumns) pivot[column] = Model._cast(pivotColumns[column]?.type, item[column]);
+					if (!relation.pivotColumns.includes(relation.foreignPivotKey)) delete item[relation.foreignPivotKey];
+					for (const column of relation.pivotColumns) delete item[column];
+					if (!byParent.has(parentKey)) byParent.set(parentKey, []);
+					byParent.get(parentKey).push({ ...item, [relation.as]: pivot });
+				}
+				rows.forEach(row => { row[name] = byParent.get(row[localKey]) ?? []; });
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Convert a value to what is stored in its column
+	 * @private
+	 */
+	_toDatabase(column, value) {
+		if (this.definitions?.[column]?.type === 'json' && value !== null && value !== undefined) return JSON.stringify(value);
+		return value;
+	}
+
+	/**
+	 * Cast the rows of a select to the types of their columns and remove the hidden columns
+	 * Columns without a definition (joined columns, sr, total) are returned as they are
+	 * @private
+	 * @param {Array<Object>} rows - Rows returned by MySQL
+	 * @returns {Array<Object>}
+	 */
+	_serialize(rows) {
+		if (!this.definitions || !Array.isArray(rows)) return rows;
+		const visible = new Set(this.query.visible);
+		return rows.map(row => {
+			const serialized = {};
+			for (const [column, value] of Object.entries(row)) {
+				const definition = this.definitions[column];
+				if (definition?.hidden && !visible.has(column)) continue;
+				serialized[column] = definition?.type ? Model._cast(definition.type, value) : value;
+			}
+			return serialized;
+		});
+	}
+
+	/**
+	 * Cast a value returned by MySQL to a column type
+	 * @private
+	 */
+	static _cast(type, value) {
+		if (value === null || value === undefined) return value;
+		switch (type) {
+			case 'integer':
+			case 'number': return typeof value === 'string' ? Number(value) : value;
+			case 'string': return typeof value === 'string' ? value : String(value);
+			case 'boolean': return Boolean(Number(value));
+			case 'date': return value instanceof Date ? value : new Date(value);
+			default: return value; // mysql2 returns JSON columns parsed.
 		}
 	}
 
+	/**
+	 * Normalize the timestamps option to the managed column names
+	 * @private
+	 */
+	static _timestampColumns(timestamps) {
+		if (!timestamps) return { createdAt: null, updatedAt: null };
+		const { createdAt = 'created_at', updatedAt = 'updated_at' } = timestamps === true ? {} : timestamps;
+		return { createdAt: createdAt || null, updatedAt: updatedAt || null };
+	}
+
+	/**
+	 * Normalize the hooks option to arrays of functions
+	 * @private
+	 */
+	static _hookList(hooks) {
+		return Object.fromEntries(Object.entries(hooks).map(([name, list]) => [name, [].concat(list)]));
+	}
+
+	/**
+	 * Execute the insert in chunks, keeping each statement under the placeholder limit of MySQL
+	 * @private
+	 * @returns {Promise<{insertId: number, affectedRows: number}>} - Id of the first inserted row and the total of affected rows
+	 */
+	async _executeInsert() {
+		const chunkSize = Math.max(1, Math.min(Model.INSERT_CHUNK_SIZE, Math.floor(Model.MAX_PLACEHOLDERS / this.query.columns.length)));
+		const result = { insertId: 0, affectedRows: 0 };
+		for (let start = 0; start < this.query.rows.length; start += chunkSize) {
+			this._prepareInsertQuery(this.query.rows.slice(start, start + chunkSize));
+			const chunkResult = await this.#connection.executeQuery(this.#sql, this.query.values);
+			if (!result.insertId) result.insertId = chunkResult.insertId;
+			result.affectedRows += chunkResult.affectedRows;
+		}
+		return result;
+	}
+
+	/**
+	 * Prepare the INSERT statement and its placeholder values for a chunk of rows
+	 * @private
+	 * @param {Array<Array>} rows - Values of the rows, in the order of query.columns
+	 */
+	_prepareInsertQuery(rows) {
+		this.query.values = [];
+		const tuples = rows.map(row => `(${row.map(value => {
+			if (value === undefined) return 'DEFAULT';
+			this.query.values.push(value);
+			return '?';
+		}).join(', ')})`);
+		this.#sql = `INSERT${this.query.insertMode === 'ignore' ? ' IGNORE' : ''} INTO ${this._identifier(this.tableName)} (${this.query.columns.map(column => this._checkColumn(column)).join(', ')}) VALUES ${tuples.join(', ')}`;
+		if (this.query.insertMode === 'upsert') {
+			this.#sql += ` ON DUPLICATE KEY UPDATE ${this.query.upsertColumns.map(column => this._checkColumn(column)).map(column => `${column} = VALUES(${column})`).join(', ')}`;
+		}
+		this.#sql += ';';
+	}
+
+	/**
+	 * Build the WHERE clause from the scopes of the model and the conditions of the query
+	 * Scopes are ANDed with the query conditions as a whole, so an OR in the query can not bypass them
+	 * @private
+	 * @returns {string} - WHERE clause with a leading space, or an empty string
+	 */
+	_buildWhere() {
+		const parts = [...this.query.scopes, this.query.where].filter(conditions => !conditions.isEmpty()).map(conditions => conditions.toSql(column => this._column(column)));
+		if (parts.length === 0) return '';
+		this.query.values = this.query.values.concat(parts.flatMap(part => part.values));
+		return ' WHERE ' + (parts.length === 1 ? parts[0].sql : parts.map(part => `(${part.sql})`).join(' AND '));
+	}
+
 	/**
 	 * Prepare SQL query string based on query builder state
 	 * @private
@@ -208,79 +1077,31 @@ export default class Model {
 	_prepareQueryString() {
 		switch (this.query.type) {
 			case 'select': {
-				this.#sql = `SELECT ${this.query.select.join(', ')} FROM ${this.tableName}`;
-				if (this.query?.joins?.length > 0) this.#sql += this.query?.joins?.map(join => ` ${join.type} JOIN ${join.table} ON ${join.conditions}`).join('');
-				if (Object.keys(this.query.where).length > 0) {
-					this.#sql += ' WHERE ' + Object.keys(this.query.where).map(key => `${this.tableName}.${key} = ?`).join(' AND ');
-					this.query.values = this.query.values.concat(Object.values(this.query.where));
-				}
-				if (Object.keys(this.query.whereIn).length > 0) {
-					this.#sql += Object.keys(this.query.where).length > 0 ? ' AND ' : ' WHERE ';
-					this.#sql += this.query.whereIn.map((whereInCondition) => `${whereInCondition.column} IN (${whereInCondition.values.map(() => '?').join(', ')})`);
-					this.query.values = this.query.values.concat(this.query.whereIn.flatMap(whereInCondition => whereInCondition.values));
-				}
-				if (Object.keys(this.query.search).length > 0) {
-					this.#sql += Object.keys(this.query.where).length > 0 || Object.keys(this.query.whereIn).length > 0 ? ' AND ' : ' WHERE ';
-					this.#sql += Object.keys(this.query.search).map(key => {
-						this.query.values.push(this.query.search[key]);
-						return `${this.tableName}.${key} LIKE ?`
-					}).join(' AND ');
-				}
-				if (this.query.orderBy) this.#sql += ` ORDER BY ${this.query.orderBy}`;
-				if (this.query.order) this.#sql += ` ${this.query.order}`;
+				this.#sql = `SELECT ${this.query.select.join(', ')} FROM ${this._identifier(this.tableName)}`;
+				if (this.query?.joins?.length > 0) this.#sql += this.query?.joins?.map(join => ` ${join.type} JOIN ${this._identifier(join.table)} ON ${join.conditions}`).join('');
+				this.#sql += this._buildWhere();
+				if (this.query.orderBy.length > 0) this.#sql += ` ORDER BY ${this.query.orderBy.map(order => `${this._column(order.column)} ${order.direction}`).join(', ')}`;
 				if (this.query.limit !== null) this.#sql += ` LIMIT ${this.query.limit}`;
 				if (this.query.offset !== null) this.#sql += ` OFFSET ${this.query.offset}`;
 				break;
 			}
-			case 'insert': {
-				const val = this.query.values.reduce((acc, curr, index) => {
-					const chunkIndex = Math.floor(index / this.query.columns.length);
-					if (!acc[chunkIndex]) acc[chunkIndex] = [];
-					acc[chunkIndex].push(curr);
-					return acc;
-				}, []).map(chunk => `('${chunk.join("','")}')`).join('');
-				this.#sql += `INSERT INTO ${this.tableName} (${this.query.columns.join(', ')}) VALUES ${val}`;
-				break;
-			}
-			case 'update': {
-				this.#sql += `UPDATE ${this.tableName} SET ${this.query.columns.map(column => `${column} = ?`).join(', ')}`;
-				if (Object.keys(this.query.where).length > 0) {
-					this.#sql += ' WHERE ' + Object.keys(this.query.where).map(key => `${this.tableName}.${key} = ?`).join(' AND ');
-					this.query.values = this.query.values.concat(Object.values(this.query.where));
-				}
-				if (Object.keys(this.query.whereIn).length > 0) {
-					this.#sql += Object.keys(this.query.where).length > 0 ? ' AND ' : ' WHERE ';
-					this.#sql += this.query.whereIn.map((whereInCondition) => `${whereInCondition.column} IN (${whereInCondition.values.map(() => '?').join(', ')})`);
-					this.query.values = this.query.values.concat(this.query.whereIn.flatMap(whereInCondition => whereInCondition.values));
-				}
-				if (this.query.limit !== null) this.#sql += ` LIMIT ${this.query.limit}`;
+			case 'count': {
+				this.#sql = `SELECT COUNT(*) AS total FROM ${this._identifier(this.tableName)}`;
+				this.#sql += this.query.joins.map(join => ` ${join.type} JOIN ${this._identifier(join.table)} ON ${join.conditions}`).join('');
+				this.#sql += this._buildWhere();
 				break;
 			}
-			case 'delete': {
-				this.#sql += `UPDATE ${this.tableName} SET status = 'deleted'`;
-				if (Object.keys(this.query.where).length > 0) {
-					this.#sql += ' WHERE ' + Object.keys(this.query.where).map(key => `${this.tableName}.${key} = ?`).join(' AND ');
-					this.query.values = this.query.values.concat(Object.values(this.query.where));
-				}
-				if (Object.keys(this.query.whereIn).length > 0) {
-					this.#sql += Object.keys(this.query.where).length > 0 ? ' AND ' : ' WHERE ';
-					this.#sql += this.query.whereIn.map((whereInCondition) => `${whereInCondition.column} IN (${whereInCondition.values.map(() => '?').join(', ')})`);
-					this.query.values = this.query.values.concat(this.query.whereIn.flatMap(whereInCondition => whereInCondition.values));
-				}
+			case 'update':
+			case 'delete':
+			case 'restore': {
+				this.#sql += `UPDATE ${this._identifier(this.tableName)} SET ${this.query.columns.map(column => `${this._checkColumn(column)} = ?`).join(', ')}`;
+				this.#sql += this._buildWhere();
 				if (this.query.limit !== null) this.#sql += ` LIMIT ${this.query.limit}`;
 				break;
 			}
 			case 'delete-hard': {
-				this.#sql += `DELETE FROM ${this.tableName}`;
-				if (Object.keys(this.query.where).length > 0) {
-					this.#sql += ' WHERE ' + Object.keys(this.query.where).map(key => `${this.tableName}.${key} = ?`).join(' AND ');
-					this.query.values = this.query.values.concat(Object.values(this.query.where));
-				}
-				if (Object.keys(this.query.whereIn).length > 0) {
-					this.#sql += Object.keys(this.query.where).length > 0 ? ' AND ' : ' WHERE ';
-					this.#sql += this.query.whereIn.map((whereInCondition) => `${whereInCondition.column} IN (${whereInCondition.values.map(() => '?').join(', ')})`);
-					this.query.values = this.query.values.concat(this.query.whereIn.flatMap(whereInCondition => whereInCondition.values));
-				}
+				this.#sql += `DELETE FROM ${this._identifier(this.tableName)}`;
+				this.#sql += this._buildWhere();
 				if (this.query.limit !== null) this.#sql += ` LIMIT ${this.query.limit}`;
 				break;
 			}
@@ -0,0 +1,178 @@
+import { InvalidQueryError } from "./conditions.js";
+
+/**
+ * ListQuery class, the filter, sort and search parameters of a list route
+ * Fields are checked against the column definitions of the model: hidden and JSON columns can not be
+ * filtered or sorted on, and `q` only searches the `searchable` columns of the definition.
+ *
+ * Usage:
+ * // ?filter[created_at][gte]=2024-01-01&filter[role_id][in]=1,2&sort=-created_at,username&q=john
+ * const list = ListQuery.parse(req.query);
+ * list.applyTo(new User(connection).select(), { defaultSort: '-created_at' }).paginate({ page, perPage, cursor });
+ */
+export default class ListQuery {
+	/**
+	 * Filter operators and the where() operator they map to, in, nin and null are handled apart
+	 * @type {Object<string, string>}
+	 */
+	static OPERATORS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE' };
+
+	/**
+	 * Largest number of values of an in or nin filter
+	 * @type {number}
+	 */
+	static MAX_LIST_VALUES = 100;
+
+	/**
+	 * @param {Array<{column: string, operator: string, value: *}>} filters - Parsed filters
+	 * @param {Array<{column: string, direction: string}>} sort - Parsed sort
+	 * @param {string|null} search - Search text
+	 */
+	constructor(filters = [], sort = [], search = null) {
+		this.filters = filters;
+		this.sort = sort;
+		this.search = search;
+	}
+
+	/**
+	 * Read the filter, sort and q parameters of a query string
+	 * @param {Object} query - Parsed query string, e.g. request.query
+	 * @returns {ListQuery}
+	 */
+	static parse({ filter, sort, q } = {}) {
+		const filters = [];
+		if (filter !== undefined) {
+			if (!ListQuery._isObject(filter)) throw new InvalidQueryError('filter must be given as filter[field][operator]=value');
+			for (const [column, condition] of Object.entries(filter)) {
+				const operations = ListQuery._isObject(condition) ? Object.entries(condition) : [['eq', condition]];
+				for (const [operator, value] of operations) {
+					if (operator !== 'in' && operator !== 'nin' && operator !== 'null' && !Object.hasOwn(ListQuery.OPERATORS, operator)) {
+						throw new InvalidQueryError(`Unknown filter operator "${operator}" on ${column}, expected one of ${[...Object.keys(ListQuery.OPERATORS), 'in', 'nin', 'null'].join(', ')}`);
+					}
+					filters.push({ column, operator, value });
+				}
+			}
+		}
+		return new ListQuery(filters, ListQuery._parseSort(sort), ListQuery._parseSearch(q));
+	}
+
+	/**
+	 * Add the filters, search and order to a select of a model
+	 * @param {Model} model - Model with a select in progress
+	 * @param {Object} [options]
+	 * @param {string} [options.defaultSort] - Sort used when none is asked for, same syntax as the sort parameter
+	 * @returns {Model} - The model, for chaining
+	 */
+	applyTo(model, { defaultSort } = {}) {
+		const definitions = model.definitions ?? {};
+		for (const { column, operator, value } of this.filters) {
+			const definition = ListQuery._field(definitions, column, 'filter', model.tableName);
+			switch (operator) {
+				case 'in':
+				case 'nin': {
+					const values = (Array.isArray(value) ? value : String(value).split(',')).map(item => ListQuery._cast(definition, column, item));
+					if (values.length > ListQuery.MAX_LIST_VALUES) throw new InvalidQueryError(`At most ${ListQuery.MAX_LIST_VALUES} values can be given to filter ${column}`);
+					if (operator === 'in') model.whereIn(column, values);
+					else model.whereNotIn(column, values);
+					break;
+				}
+				case 'null': {
+					const isNull = ListQuery._cast({ type: 'boolean' }, column, value);
+					if (isNull) model.whereNull(column);
+					else model.whereNotNull(column);
+					break;
+				}
+				case 'like':
+					model.where(column, 'LIKE', ListQuery._scalar(column, value));
+					break;
+				default:
+					model.where(column, ListQuery.OPERATORS[operator], ListQuery._cast(definition, column, value));
+			}
+		}
+		if (this.search !== null) {
+			const searchable = model.searchable ?? [];
+			if (searchable.length === 0) throw new InvalidQueryError(`${model.tableName} can not be searched`);
+			const pattern = `%${this.search.replace(/[\\%_]/g, character => `\\${character}`)}%`;
+			model.where(group => searchable.forEach(column => group.orWhere(column, 'LIKE', pattern)));
+		}
+		const sort = this.sort.length > 0 ? this.sort : ListQuery._parseSort(defaultSort);
+		for (const { column, direction } of sort) {
+			ListQuery._field(definitions, column, 'sort', model.tableName);
+			model.orderBy(column, direction);
+		}
+		return model;
+	}
+
+	/**
+	 * @private
+	 */
+	static _parseSort(sort) {
+		if (sort === undefined || sort === null || sort === '') return [];
+		if (typeof sort !== 'string') throw new InvalidQueryError('sort must be a comma separated list of fields, prefixed with - for descending order');
+		return sort.split(',').map(field => field.trim()).filter(Boolean).map(field => field.startsWith('-')
+			? { column: field.slice(1), direction: 'DESC' }
+			: { column: field.replace(/^\+/, ''), direction: 'ASC' });
+	}
+
+	/**
+	 * @private
+	 */
+	static _parseSearch(q) {
+		if (q === undefined || q === null) return null;
+		if (typeof q !== 'string') throw new InvalidQueryError('q must be a single text');
+		return q.trim() === '' ? null : q.trim();
+	}
+
+	/**
+	 * Get the definition of a field the list may use
+	 * @private
+	 */
+	static _field(definitions, column, usage, tableName) {
+		const definition = Object.hasOwn(definitions, column) ? definitions[column] : undefined;
+		if (!definition || definition.hidden || definition.type === 'json') throw new InvalidQueryError(`Can not ${usage} ${tableName} on "${column}"`);
+		return definition;
+	}
+
+	/**
+	 * Convert a query string value to the type of its column
+	 * @private
+	 */
+	static _cast(definition, column, value) {
+		const text = ListQuery._scalar(column, value).trim();
+		switch (definition.type) {
+			case 'integer':
+			case 'number': {
+				const pattern = definition.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+				if (!pattern.test(text)) throw new InvalidQueryError(`${column} must be a ${definition.type === 'integer' ? 'whole ' : ''}number`);
+				return Number(text);
+			}
+			case 'boolean': {
+				if (['true', '1'].includes(text)) return true;
+				if (['false', '0'].includes(text)) return false;
+				throw new InvalidQueryError(`${column} must be true or false`);
+			}
+			case 'date': {
+				const date = new Date(text);
+				if (text === '' || Number.isNaN(date.getTime())) throw new InvalidQueryError(`${column} must be a date`);
+				return date;
+			}
+			default:
+				return text;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static _scalar(column, value) {
+		if (typeof value !== 'string') throw new InvalidQueryError(`Invalid value for ${column}`);
+		return value;
+	}
+
+	/**
+	 * @private
+	 */
+	static _isObject(value) {
+		return value !== null && typeof value === 'object' && !Array.isArray(value);
+	}
+}
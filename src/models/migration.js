@@ -0,0 +1,19 @@
+import Model from "./index.js";
+
+/**
+ * Schema migration model, one row per migration applied to the database by MigrationManager.
+ */
+const SchemaMigration = Model.define({
+	table: 'schema_migrations',
+	tenantColumn: null,
+	columns: {
+		version: { type: 'string' },
+		name: { type: 'string' },
+		batch: { type: 'integer' },
+		checksum: { type: 'string' },
+		applied_at: { type: 'date' },
+	},
+	timestamps: { createdAt: 'applied_at', updatedAt: false },
+});
+
+export default SchemaMigration;
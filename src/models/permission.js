@@ -0,0 +1,43 @@
+import Model from "./index.js";
+
+/**
+ * Access flags of a role on an app feature, the rows are created by triggers for every role and feature
+ */
+export const RolePermission = Model.define({
+	table: 'roles_permissions',
+	tenantColumn: null,
+	columns: {
+		id: { type: 'integer' },
+		role_id: { type: 'integer' },
+		feature_id: { type: 'integer' },
+		write_access: { type: 'boolean', default: false },
+		read_access: { type: 'boolean', default: false },
+		edit_access: { type: 'boolean', default: false },
+		delete_access: { type: 'boolean', default: false },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+	},
+	timestamps: true,
+});
+
+/**
+ * Permission model, reads the access flags of every role on every app feature.
+ */
+export default class PermissionModel {
+	#model;
+	constructor(databaseConnection) {
+		this.#model = new RolePermission(databaseConnection);
+	}
+
+	/**
+	 * Get the permissions of all roles joined with their feature key, rows of deleted roles (role_id NULL) are left out
+	 * @returns {Promise<Array<Object>>} - Rows of role_id, feature_key and the *_access flags
+	 */
+	async getAll() {
+		return await this.#model
+			.select(['role_id', 'read_access', 'write_access', 'edit_access', 'delete_access'])
+			.join('INNER', 'app_features', 'app_features.id = roles_permissions.feature_id', ['feature_key'])
+			.join('INNER', 'users_roles', 'users_roles.id = roles_permissions.role_id', [])
+			.execute();
+	}
+}
@@ -0,0 +1,175 @@
+import Model from "./index.js";
+import { BadRequestError } from "../managers/errors.js";
+import Role from "./role.js";
+
+/**
+ * Policies of a tenant, their statements (keys stored as JSON) and the roles they are attached to
+ */
+export const Policy = Model.define({
+	table: 'policies',
+	columns: {
+		id: { type: 'integer' },
+		tenant_id: { type: 'integer' },
+		name: { type: 'string' },
+		description: { type: 'string' },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+	},
+	timestamps: true,
+});
+
+export const PolicyStatement = Model.define({
+	table: 'policy_statements',
+	tenantColumn: null,
+	columns: {
+		id: { type: 'integer' },
+		policy_id: { type: 'integer' },
+		position: { type: 'integer', default: 0 },
+		effect: { type: 'string' },
+		actions: { type: 'json' },
+		not_actions: { type: 'json' },
+		resources: { type: 'json' },
+		not_resources: { type: 'json' },
+		conditions: { type: 'json' },
+		created_at: { type: 'date' },
+	},
+	timestamps: { updatedAt: false },
+});
+
+export const RolePolicy = Model.define({
+	table: 'role_policies',
+	tenantColumn: null,
+	columns: {
+		id: { type: 'integer' },
+		role_id: { type: 'integer' },
+		policy_id: { type: 'integer' },
+		created_at: { type: 'date' },
+	},
+	timestamps: { updatedAt: false },
+});
+
+/**
+ * Policy model, stores the policy documents of a tenant in the policies, policy_statements and role_policies tables.
+ *
+ * A policy document looks like:
+ * {
+ *   policies: [{ name, description, statements: [{ effect, action, resource, condition, ... }] }],
+ *   roles: [{ id, name }],
+ *   permissions: [{ role: 'Admin', policy: 'FullAccess' }]
+ * }
+ */
+export default class PolicyModel {
+	/**
+	 * Statement keys and the columns they are stored in as JSON
+	 * @type {Object<string, string>}
+	 */
+	static STATEMENT_COLUMNS = {
+		action: 'actions',
+		notAction: 'not_actions',
+		resource: 'resources',
+		notResource: 'not_resources',
+		condition: 'conditions',
+	};
+
+	#databaseConnection;
+	constructor(databaseConnection) {
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * Get the policy document of a tenant
+	 * @param {number} tenantId - Id of the tenant
+	 * @returns {Promise<Object>} - The policies, roles and permissions of the tenant
+	 */
+	async getByTenant(tenantId) {
+		const policies = await new Policy(this.#databaseConnection).select(['id', 'name', 'description']).where({ tenant_id: tenantId }).execute();
+		const roles = await new Role(this.#databaseConnection).select(['id', 'name']).where({ tenant_id: tenantId }).execute();
+		if (policies.length === 0) return { policies: [], roles, permissions: [] };
+
+		const policyIds = policies.map(policy => policy.id);
+		const statements = await new PolicyStatement(this.#databaseConnection)
+			.select(['policy_id', 'effect', ...Object.values(PolicyModel.STATEMENT_COLUMNS)])
+			.whereIn('policy_statements.policy_id', policyIds)
+			.orderBy('policy_statements.position', 'ASC')
+			.execute();
+		const attachments = await new RolePolicy(this.#databaseConnection)
+			.select(['role_id', 'policy_id'])
+			.whereIn('role_policies.policy_id', policyIds)
+			.execute();
+
+		const policyNames = new Map(policies.map(policy => [policy.id, policy.name]));
+		const roleNames = new Map(roles.map(role => [role.id, role.name]));
+		return {
+			policies: policies.map(policy => ({
+				name: policy.name,
+				description: policy.description,
+				statements: statements.filter(statement => statement.policy_id === policy.id).map(statement => PolicyModel.#toStatement(statement)),
+			})),
+			roles,
+			permissions: attachments
+				.filter(attachment => roleNames.has(attachment.role_id))
+				.map(attachment => ({ role: roleNames.get(attachment.role_id), policy: policyNames.get(attachment.policy_id) })),
+		};
+	}
+
+	/**
+	 * Replace every policy of a tenant with the ones of a document
+	 * Roles are matched by name against the roles of the tenant
+	 * @param {number} tenantId - Id of the tenant
+	 * @param {Object} document - Policy document with normalized statements
+	 * @returns {Promise<void>}
+	 */
+	async replaceForTenant(tenantId, document) {
+		const roles = await new Role(this.#databaseConnection).select(['id', 'name']).where({ tenant_id: tenantId }).execute();
+		const roleIds = new Map(roles.map(role => [role.name, role.id]));
+		const unknownRoles = document.permissions.map(permission => permission.role).filter(role => !roleIds.has(role));
+		if (unknownRoles.length > 0) throw new PolicyDocumentError(`Unknown roles: ${[...new Set(unknownRoles)].join(', ')}.`);
+
+		// Statements and attachments are removed by the foreign key cascade.
+		await new Policy(this.#databaseConnection).hardDelete().where({ tenant_id: tenantId }).execute();
+
+		const policyIds = new Map();
+		for (const policy of document.policies) {
+			const result = await new Policy(this.#databaseConnection).insert({ tenant_id: tenantId, name: policy.name, description: policy.description ?? null }).execute();
+			policyIds.set(policy.name, result.insertId);
+			if (policy.statements.length === 0) continue;
+			await new PolicyStatement(this.#databaseConnection).insert(policy.statements.map((statement, position) => {
+				const row = { policy_id: result.insertId, position, effect: statement.effect };
+				for (const [key, column] of Object.entries(PolicyModel.STATEMENT_COLUMNS)) {
+					row[column] = statement[key] ?? null;
+				}
+				return row;
+			})).execute();
+		}
+		if (document.permissions.length === 0) return;
+		await new RolePolicy(this.#databaseConnection)
+			.insertIgnore(document.permissions.map(permission => ({ role_id: roleIds.get(permission.role), policy_id: policyIds.get(permission.policy) })))
+			.execute();
+	}
+
+	/**
+	 * Convert a policy_statements row to a statement
+	 * @param {Object} row - policy_statements row
+	 * @returns {Object} - The statement
+	 */
+	static #toStatement(row) {
+		const statement = { effect: row.effect };
+		for (const [key, column] of Object.entries(PolicyModel.STATEMENT_COLUMNS)) {
+			if (row[column] === null || row[column] === undefined) continue;
+			statement[key] = row[column]; // mysql2 returns JSON columns parsed.
+		}
+		return statement;
+	}
+}
+
+/**
+ * Error class for policy documents that can not be stored.
+ *
+ * @class
+ * @extends {BadRequestError}
+ */
+export class PolicyDocumentError extends BadRequestError {
+	constructor(message) {
+		super(message, null, 'INVALID_POLICY_DOCUMENT');
+	}
+}
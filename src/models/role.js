@@ -0,0 +1,30 @@
+import Model from "./index.js";
+import Feature from "./feature.js";
+import Tenant from "./tenant.js";
+import { RolePermission } from "./permission.js";
+
+/**
+ * Role model, the users_roles table. Each tenant has its own roles.
+ * The features of a role carry its access flags from roles_permissions under `permissions`.
+ */
+const Role = Model.define({
+	table: 'users_roles',
+	columns: {
+		id: { type: 'integer' },
+		name: { type: 'string' },
+		tenant_id: { type: 'integer' },
+		description: { type: 'string' },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+	},
+	timestamps: true,
+	relations: {
+		tenant: Model.belongsTo(() => Tenant, 'tenant_id'),
+		features: Model.belongsToMany(() => Feature, () => RolePermission, 'role_id', 'feature_id', {
+			pivotColumns: ['read_access', 'write_access', 'edit_access', 'delete_access'],
+			as: 'permissions',
+		}),
+	},
+});
+
+export default Role;
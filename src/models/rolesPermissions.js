@@ -1,9 +1,93 @@
+import net from "net";
+import PolicyModel, { PolicyDocumentError } from "./policy.js";
+
 /**
  * RolesPermissions class handles role-based access control (RBAC) by managing policies and their attachments to roles.
  * It provides methods to create, modify and check permissions for different roles.
+ *
+ * Policies are evaluated like AWS IAM: access is denied by default, a matching `Allow` statement grants it
+ * and a matching `Deny` statement always wins, whatever the order the policies were attached in.
+ *
+ * A statement looks like:
+ * {
+ *   effect: 'Allow' | 'Deny',
+ *   action: 'users:*',              // or notAction
+ *   resource: 'tenants/${user.tenant_id}/*', // or notResource
+ *   condition: { StringEquals: { 'user.tenant_id': '${resource.tenant_id}' }, IpAddress: { 'request.ip': '10.0.0.0/8' } }
+ * }
+ * The AWS casing (Effect, Action, NotAction, Resource, NotResource, Condition) is accepted as well.
  */
-
 export default class RolesPermissions {
+	/**
+	 * Condition operators, each compares the context value with one value of the statement.
+	 * @type {Object<string, Function>}
+	 */
+	static CONDITION_OPERATORS = {
+		StringEquals: (actual, expected) => String(actual) === String(expected),
+		StringNotEquals: (actual, expected) => String(actual) !== String(expected),
+		StringEqualsIgnoreCase: (actual, expected) => String(actual).toLowerCase() === String(expected).toLowerCase(),
+		StringLike: (actual, expected) => RolesPermissions._matchesWildcard(expected, actual),
+		StringNotLike: (actual, expected) => !RolesPermissions._matchesWildcard(expected, actual),
+		NumericEquals: (actual, expected) => Number(actual) === Number(expected),
+		NumericNotEquals: (actual, expected) => Number(actual) !== Number(expected),
+		NumericLessThan: (actual, expected) => Number(actual) < Number(expected),
+		NumericLessThanEquals: (actual, expected) => Number(actual) <= Number(expected),
+		NumericGreaterThan: (actual, expected) => Number(actual) > Number(expected),
+		NumericGreaterThanEquals: (actual, expected) => Number(actual) >= Number(expected),
+		DateLessThan: (actual, expected) => new Date(actual) < new Date(expected),
+		DateGreaterThan: (actual, expected) => new Date(actual) > new Date(expected),
+		Bool: (actual, expected) => String(actual) === String(expected),
+		IpAddress: (actual, expected) => RolesPermissions._matchesIp(actual, expected),
+		NotIpAddress: (actual, expected) => !RolesPermissions._matchesIp(actual, expected),
+	};
+
+	/**
+	 * Operators that hold only when the context value matches none of the listed values.
+	 * @type {Set<string>}
+	 */
+	static NEGATED_OPERATORS = new Set(['StringNotEquals', 'StringNotLike', 'NumericNotEquals', 'NotIpAddress']);
+
+	/**
+	 * Operators whose values are patterns with `*` and `?` wildcards.
+	 * @type {Set<string>}
+	 */
+	static WILDCARD_OPERATORS = new Set(['StringLike', 'StringNotLike']);
+
+	/**
+	 * Operators whose values are IP addresses or CIDR ranges.
+	 * @type {Set<string>}
+	 */
+	static IP_OPERATORS = new Set(['IpAddress', 'NotIpAddress']);
+
+	/**
+	 * Checks if a value is an IP address or a CIDR range with a prefix length valid for its address.
+	 * @param {string} range - The value to check, e.g. 10.0.0.0/8.
+	 * @returns {boolean} - True if the value is a valid range.
+	 */
+	static _isIpRange(range) {
+		const [network, prefix, ...rest] = String(range).split('/');
+		if (rest.length > 0 || !net.isIP(network)) return false;
+		if (prefix === undefined) return true;
+		return /^\d+$/.test(prefix) && Number(prefix) <= (net.isIPv4(network) ? 32 : 128);
+	}
+
+	/**
+	 * Checks if an IP address is inside a range.
+	 * @param {string} ip - The IPv4 or IPv6 address, IPv4-mapped IPv6 addresses are handled as IPv4.
+	 * @param {string} range - An address or a CIDR range such as 10.0.0.0/8.
+	 * @returns {boolean} - True if the address is in the range.
+	 */
+	static _matchesIp(ip, range) {
+		const address = String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+		const [network, prefix] = String(range).split('/');
+		const type = net.isIPv4(network) ? 'ipv4' : 'ipv6';
+		if (!net.isIP(address) || !RolesPermissions._isIpRange(range) || (net.isIPv4(address) ? 'ipv4' : 'ipv6') !== type) return false;
+		const blockList = new net.BlockList();
+		if (prefix === undefined) blockList.addAddress(network, type);
+		else blockList.addSubnet(network, Number(prefix), type);
+		return blockList.check(address, type);
+	}
+
 	/**
 	 * Creates a new RolesPermissions instance.
 	 */
@@ -17,7 +101,7 @@ export default class RolesPermissions {
 	 * @param {Array<Object>} statements - The statements of the policy.
 	 */
 	addPolicy(policyName, statements) {
-		this.policies.set(policyName, statements);
+		this.policies.set(policyName, statements.map(statement => this._normalizeStatement(statement)));
 	}
 
 	/**
@@ -63,29 +147,83 @@ export default class RolesPermissions {
 
 	/**
 	 * Checks if a role can perform an action on a resource.
+	 * An explicit Deny in any attached policy wins over every Allow, and nothing is allowed by default.
 	 * @param {string} roleName - The name of the role to check.
 	 * @param {string} action - The action to check.
 	 * @param {string} resource - The resource to check.
+	 * @param {Object} [context={}] - The request context conditions and `${...}` variables are resolved against, e.g. { user, request: { ip, time } }.
 	 * @returns {boolean} - True if the role can perform the action on the resource, false otherwise.
 	 */
-	canPerformAction(roleName, action, resource) {
+	canPerformAction(roleName, action, resource, context = {}) {
 		if (!this.roles || !this.roles.has(roleName)) {
 			return false;
 		}
 
+		let allowed = false;
 		const attachedPolicies = this.roles.get(roleName);
 		for (const policyName of attachedPolicies) {
 			const policy = this.policies.get(policyName);
 			if (!policy) continue;
 
 			for (const statement of policy) {
-				if (this._matchesStatement(statement, action, resource)) {
-					return statement.effect === 'Allow';
-				}
+				if (!this._matchesStatement(statement, action, resource, context)) continue;
+				if (statement.effect === 'Deny') return false;
+				if (statement.effect === 'Allow') allowed = true;
 			}
 		}
 
-		return false;
+		return allowed;
+	}
+
+	/**
+	 * Normalizes the keys of a statement to the lowercase form used internally.
+	 * @param {Object} statement - The statement, in lowercase or AWS casing.
+	 * @returns {Object} - The normalized statement.
+	 */
+	_normalizeStatement(statement) {
+		const normalized = {
+			effect: statement.effect ?? statement.Effect,
+			action: statement.action ?? statement.Action,
+			notAction: statement.notAction ?? statement.NotAction,
+			resource: statement.resource ?? statement.Resource,
+			notResource: statement.notResource ?? statement.NotResource,
+			condition: statement.condition ?? statement.Condition,
+		};
+		if (normalized.effect !== 'Allow' && normalized.effect !== 'Deny') {
+			throw new Error(`Invalid statement effect "${normalized.effect}", expected Allow or Deny`);
+		}
+		if ((normalized.action === undefined) === (normalized.notAction === undefined)) {
+			throw new Error('A statement needs exactly one of action or notAction');
+		}
+		if ((normalized.resource === undefined) === (normalized.notResource === undefined)) {
+			throw new Error('A statement needs exactly one of resource or notResource');
+		}
+		if (normalized.condition !== undefined) this._checkCondition(normalized.condition);
+		for (const key of Object.keys(normalized)) {
+			if (normalized[key] === undefined) delete normalized[key];
+		}
+		return normalized;
+	}
+
+	/**
+	 * Checks the operators of a condition block and the values of the IP ones, so a stored document never fails to evaluate.
+	 * Values with `${...}` variables are only known when evaluated, an invalid one then never matches.
+	 * @param {Object} condition - The condition block.
+	 * @throws {Error} - If an operator is not supported or a value is not a valid IP range.
+	 */
+	_checkCondition(condition) {
+		if (!condition || typeof condition !== 'object' || Array.isArray(condition)) throw new Error('A statement condition must be an object');
+		for (const [operator, entries] of Object.entries(condition)) {
+			if (!Object.hasOwn(RolesPermissions.CONDITION_OPERATORS, operator)) throw new Error(`Unsupported condition operator ${operator}`);
+			if (!entries || typeof entries !== 'object' || Array.isArray(entries)) throw new Error(`The ${operator} condition must map context keys to values`);
+			if (!RolesPermissions.IP_OPERATORS.has(operator)) continue;
+			for (const [key, expected] of Object.entries(entries)) {
+				for (const value of Array.isArray(expected) ? expected : [expected]) {
+					if (typeof value === 'string' && value.includes('${')) continue;
+					if (!RolesPermissions._isIpRange(value)) throw new Error(`Invalid IP address or range "${value}" for ${key} in the ${operator} condition`);
+				}
+			}
+		}
 	}
 
 	/**
@@ -93,47 +231,200 @@ export default class RolesPermissions {
 	 * @param {Object} statement - The statement to check.
 	 * @param {string} action - The action to check.
 	 * @param {string} resource - The resource to check.
-	 * @returns {boolean} - True if the statement matches the action and resource, false otherwise.
+	 * @param {Object} [context={}] - The request context.
+	 * @returns {boolean} - True if the statement matches the action, resource and conditions, false otherwise.
 	 */
-	_matchesStatement(statement, action, resource) {
-		const matchesAction = this._matchesPattern(statement.action, action);
-		const matchesResource = this._matchesPattern(statement.resource, resource);
-		return matchesAction && matchesResource;
+	_matchesStatement(statement, action, resource, context = {}) {
+		const matchesAction = statement.notAction !== undefined
+			? !this._matchesPattern(statement.notAction, action, context)
+			: this._matchesPattern(statement.action, action, context);
+		const matchesResource = statement.notResource !== undefined
+			? !this._matchesPattern(statement.notResource, resource, context)
+			: this._matchesPattern(statement.resource, resource, context);
+		return matchesAction && matchesResource && this._matchesConditions(statement.condition, context);
 	}
 
 	/**
 	 * Checks if a pattern matches a value.
-	 * @param {string|Array<string>} pattern - The pattern to check.
+	 * @param {string|Array<string>} pattern - The pattern to check, with `*` and `?` wildcards and `${...}` variables.
 	 * @param {string} value - The value to check.
+	 * @param {Object} [context={}] - The request context variables are resolved against.
 	 * @returns {boolean} - True if the pattern matches the value, false otherwise.
 	 */
-	_matchesPattern(pattern, value) {
+	_matchesPattern(pattern, value, context = {}) {
 		if (Array.isArray(pattern)) {
-			return pattern.some(p => this._matchesPattern(p, value));
+			return pattern.some(p => this._matchesPattern(p, value, context));
 		}
 
-		// Convert AWS-like pattern to regex pattern
-		const regexPattern = pattern
+		const resolved = this._resolvePattern(pattern, context);
+		if (resolved === undefined) return false;
+		return RolesPermissions._matchesWildcard(resolved, value);
+	}
+
+	/**
+	 * Checks if a value matches a pattern with `*` and `?` wildcards, every other character is literal.
+	 * @param {string|RegExp} pattern - The pattern, or a pattern already compiled by `_resolvePattern()`.
+	 * @param {string} value - The value to check.
+	 * @returns {boolean} - True if the pattern matches the value.
+	 */
+	static _matchesWildcard(pattern, value) {
+		const regex = pattern instanceof RegExp ? pattern : new RegExp(`^${RolesPermissions._wildcardSource(pattern)}$`);
+		return regex.test(String(value));
+	}
+
+	/**
+	 * Converts an AWS-like pattern to the source of a regular expression.
+	 * @param {string} pattern - The pattern with `*` and `?` wildcards.
+	 * @returns {string} - The regular expression source.
+	 */
+	static _wildcardSource(pattern) {
+		return String(pattern)
+			.replace(/[.+^${}()|[\]\\]/g, '\\$&')
 			.replace(/\*/g, '.*')
-			.replace(/\?/g, '.')
-			.replace(/\$/g, '\\$');
+			.replace(/\?/g, '.');
+	}
+
+	/**
+	 * Compiles a wildcard pattern with `${path}` variables. The values of the variables are matched literally,
+	 * a `*` in a username does not widen `users/${user.username}`.
+	 * @param {string} pattern - The pattern with wildcards and variables.
+	 * @param {Object} context - The request context.
+	 * @returns {RegExp|undefined} - The compiled pattern, undefined if a variable is missing from the context.
+	 */
+	_resolvePattern(pattern, context) {
+		let missing = false;
+		const source = String(pattern).split(/(\$\{[^}]+\})/).map((part) => {
+			const variable = part.match(/^\$\{([^}]+)\}$/);
+			if (!variable) return RolesPermissions._wildcardSource(part);
+			const value = this._getContextValue(context, variable[1]);
+			if (value === undefined || value === null) missing = true;
+			return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		}).join('');
+		return missing ? undefined : new RegExp(`^${source}$`);
+	}
 
-		const regex = new RegExp(`^${regexPattern}$`);
-		return regex.test(value);
+	/**
+	 * Replaces the `${path}` variables of a value with their value in the context.
+	 * @param {string} value - The value with variables.
+	 * @param {Object} context - The request context.
+	 * @returns {string|undefined} - The resolved value, undefined if a variable is missing from the context.
+	 */
+	_resolveVariables(value, context) {
+		if (typeof value !== 'string') return value;
+		let missing = false;
+		const resolved = value.replace(/\$\{([^}]+)\}/g, (match, path) => {
+			const variable = this._getContextValue(context, path);
+			if (variable === undefined || variable === null) missing = true;
+			return String(variable);
+		});
+		return missing ? undefined : resolved;
+	}
+
+	/**
+	 * Reads a dot separated path from the request context.
+	 * @param {Object} context - The request context.
+	 * @param {string} path - The path, e.g. user.tenant_id.
+	 * @returns {*} - The value, undefined if it does not exist.
+	 */
+	_getContextValue(context, path) {
+		return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+	}
+
+	/**
+	 * Checks if every operator of a condition block holds for the request context.
+	 * Inside an operator all keys must hold; a key holds when any of its values does (none for negated operators).
+	 * As in IAM, a key missing from the context only holds for negated operators, so `Deny` statements on it still apply.
+	 * @param {Object} [condition] - The condition block, e.g. { StringEquals: { 'user.tenant_id': '1' } }.
+	 * @param {Object} context - The request context.
+	 * @returns {boolean} - True if there is no condition or all of it holds.
+	 */
+	_matchesConditions(condition, context) {
+		if (!condition) return true;
+		return Object.entries(condition).every(([operator, entries]) => {
+			const evaluate = Object.hasOwn(RolesPermissions.CONDITION_OPERATORS, operator) && RolesPermissions.CONDITION_OPERATORS[operator];
+			if (!evaluate) throw new Error(`Unsupported condition operator ${operator}`);
+			const negated = RolesPermissions.NEGATED_OPERATORS.has(operator);
+			return Object.entries(entries).every(([key, expected]) => {
+				const actual = this._getContextValue(context, key);
+				if (actual === undefined || actual === null) return negated;
+				const values = (Array.isArray(expected) ? expected : [expected]).map(value => (RolesPermissions.WILDCARD_OPERATORS.has(operator)
+					? this._resolvePattern(value, context)
+					: this._resolveVariables(value, context)));
+				return negated
+					? values.every(value => value !== undefined && evaluate(actual, value))
+					: values.some(value => value !== undefined && evaluate(actual, value));
+			});
+		});
 	}
 
 	/**
 	 * Gets all policies, roles and permissions of tenant from database based on tenantId passed as parameter.
-	 * @param {string} tenantId - The ID of the tenant.
-	 * @returns {Object} - The policies, roles and permissions of the tenant.
-	 */
-	getTenantPolicies(tenantId) {
-		// get all policies, roles and permissions of tenant from database based on tenantId passed as parameter.
-		// return the policies, roles and permissions as an object.
-		return {
-			policies: [],
-			roles: [],
-			permissions: [],
-		};
+	 * @param {number} tenantId - The ID of the tenant.
+	 * @param {DatabaseManager} databaseConnection - Database manager instance.
+	 * @returns {Promise<Object>} - The policy document of the tenant: policies, roles and permissions (role to policy attachments).
+	 */
+	async getTenantPolicies(tenantId, databaseConnection) {
+		return await new PolicyModel(databaseConnection).getByTenant(tenantId);
+	}
+
+	/**
+	 * Replaces the policies and attachments of this instance with the ones of a tenant.
+	 * Roles are attached by their id, the way `request.user.role_id` refers to them.
+	 * @param {number} tenantId - The ID of the tenant.
+	 * @param {DatabaseManager} databaseConnection - Database manager instance.
+	 * @returns {Promise<RolesPermissions>} - This instance.
+	 */
+	async loadTenantPolicies(tenantId, databaseConnection) {
+		return this.loadDocument(await this.getTenantPolicies(tenantId, databaseConnection));
+	}
+
+	/**
+	 * Replaces the policies and attachments of this instance with the ones of a policy document.
+	 * @param {Object} document - The policy document, as returned by `getTenantPolicies()`.
+	 * @returns {RolesPermissions} - This instance.
+	 * @throws {PolicyDocumentError} - If the document is not valid.
+	 */
+	loadDocument(document) {
+		const normalized = RolesPermissions.validateDocument(document);
+		const roleIds = new Map((normalized.roles || []).map(role => [role.name, role.id]));
+		this.policies = new Map();
+		this.roles = new Map();
+		for (const policy of normalized.policies) this.addPolicy(policy.name, policy.statements);
+		for (const permission of normalized.permissions) {
+			if (roleIds.has(permission.role)) this.attachPolicyToRole(roleIds.get(permission.role), permission.policy);
+		}
+		return this;
+	}
+
+	/**
+	 * Validates a policy document, as imported from JSON, and normalizes its statements.
+	 * @param {Object} document - The policy document.
+	 * @returns {Object} - The document with normalized statements.
+	 * @throws {PolicyDocumentError} - If the document is not valid.
+	 */
+	static validateDocument(document) {
+		if (!document || typeof document !== 'object' || !Array.isArray(document.policies)) {
+			throw new PolicyDocumentError('A policy document needs a policies array.');
+		}
+		const permissions = document.permissions ?? [];
+		if (!Array.isArray(permissions)) throw new PolicyDocumentError('The permissions of a policy document must be an array.');
+		const names = new Set();
+		const policies = document.policies.map((policy, index) => {
+			if (!policy || typeof policy.name !== 'string' || !policy.name) throw new PolicyDocumentError(`Policy ${index} needs a name.`);
+			if (names.has(policy.name)) throw new PolicyDocumentError(`Policy ${policy.name} is defined more than once.`);
+			if (!Array.isArray(policy.statements)) throw new PolicyDocumentError(`Policy ${policy.name} needs a statements array.`);
+			names.add(policy.name);
+			try {
+				return { ...policy, statements: policy.statements.map(statement => RolesPermissions.prototype._normalizeStatement(statement)) };
+			} catch (error) {
+				throw new PolicyDocumentError(`Policy ${policy.name}: ${error.message}.`);
+			}
+		});
+		for (const permission of permissions) {
+			if (!permission || typeof permission.role !== 'string' || !names.has(permission.policy)) {
+				throw new PolicyDocumentError(`Invalid permission ${JSON.stringify(permission)}, it needs a role name and the name of a policy of the document.`);
+			}
+		}
+		return { ...document, policies, permissions };
 	}
-}
\ No newline at end of file
+}
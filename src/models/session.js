@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { v4 } from "uuid";
+import Model from "./index.js";
+
+/**
+ * Refresh token model, only the hash of a token is stored and it is never returned
+ */
+export const RefreshToken = Model.define({
+	table: 'refresh_tokens',
+	columns: {
+		id: { type: 'integer' },
+		tenant_id: { type: 'integer' },
+		user_id: { type: 'integer' },
+		session_id: { type: 'string' },
+		token_hash: { type: 'string', hidden: true },
+		revoked: { type: 'boolean', default: false },
+		revoked_at: { type: 'date' },
+		user_agent: { type: 'string' },
+		ip_address: { type: 'string' },
+		expires_at: { type: 'date' },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+	},
+	timestamps: true,
+});
+
+/**
+ * Session model backed by the refresh_tokens table.
+ * A session is the chain of refresh tokens issued from one login; rotating a token revokes
+ * the previous one and keeps the session id, logging out revokes every token of the session.
+ */
+export default class SessionModel {
+	#model;
+	constructor(databaseConnection) {
+		this.#model = new RefreshToken(databaseConnection);
+	}
+
+	/**
+	 * Hash a refresh token, only hashes are stored
+	 * @param {string} refreshToken - The opaque refresh token
+	 * @returns {string} - Hex encoded SHA-256 hash
+	 */
+	static hashToken(refreshToken) {
+		return crypto.createHash("sha256").update(refreshToken).digest("hex");
+	}
+
+	/**
+	 * Issue a new refresh token, in a new session unless one is given
+	 * @param {Object} user - User row (id, tenant_id)
+	 * @param {number} ttl - Lifetime of the token in seconds
+	 * @param {Object} [client] - userAgent, ipAddress and sessionId of the client
+	 * @returns {Promise<{sessionId: string, refreshToken: string, expiresAt: Date}>}
+	 */
+	async create(user, ttl, { userAgent = null, ipAddress = null, sessionId = v4() } = {}) {
+		const refreshToken = crypto.randomBytes(48).toString("base64url");
+		const expiresAt = new Date(Date.now() + ttl * 1000);
+		await this.#model.insert({
+			tenant_id: user.tenant_id ?? null,
+			user_id: user.id,
+			session_id: sessionId,
+			token_hash: SessionModel.hashToken(refreshToken),
+			user_agent: userAgent?.slice(0, 255) ?? null,
+			ip_address: ipAddress,
+			expires_at: expiresAt,
+		}).execute();
+		return { sessionId, refreshToken, expiresAt };
+	}
+
+	async findByToken(refreshToken) {
+		const rows = await this.#model.select().where({ token_hash: SessionModel.hashToken(refreshToken) }).limit(1).execute();
+		return rows[0];
+	}
+
+	async revokeToken(id) {
+		return await this.#model.update({ revoked: true, revoked_at: new Date() }).where({ id, revoked: false }).execute();
+	}
+
+	async revokeSession(sessionId, userId) {
+		const conditions = userId === undefined ? { session_id: sessionId } : { session_id: sessionId, user_id: userId };
+		return await this.#model.update({ revoked: true, revoked_at: new Date() }).where({ ...conditions, revoked: false }).execute();
+	}
+
+	async revokeAllOfUser(userId) {
+		return await this.#model.update({ revoked: true, revoked_at: new Date() }).where({ user_id: userId, revoked: false }).execute();
+	}
+
+	async isActive(sessionId) {
+		const rows = await this.#model.select(['expires_at']).where({ session_id: sessionId, revoked: false }).execute();
+		return rows.some(row => new Date(row.expires_at) > new Date());
+	}
+
+	async getActive(userId) {
+		const rows = await this.#model.select(['session_id', 'user_agent', 'ip_address', 'expires_at', 'created_at']).where({ user_id: userId, revoked: false }).execute();
+		return rows.filter(row => new Date(row.expires_at) > new Date());
+	}
+}
@@ -0,0 +1,24 @@
+import Model from "./index.js";
+import Role from "./role.js";
+import { User } from "./auth.js";
+
+/**
+ * Tenant model, the tenants table. The id is the tenant column, a request bound to a tenant only sees its own row.
+ */
+const Tenant = Model.define({
+	table: 'tenants',
+	tenantColumn: 'id',
+	columns: {
+		id: { type: 'integer' },
+		tenant_name: { type: 'string' },
+		created_at: { type: 'date' },
+		updated_at: { type: 'date' },
+	},
+	timestamps: true,
+	relations: {
+		roles: Model.hasMany(() => Role, 'tenant_id'),
+		users: Model.hasMany(() => User, 'tenant_id'),
+	},
+});
+
+export default Tenant;
@@ -1,62 +1,150 @@
 import { Router } from "express";
 import AuthModel from "../models/auth.js";
-import jsonwebtoken from "jsonwebtoken";
+import ListQuery from "../models/listQuery.js";
+import SessionModel from "../models/session.js";
 import Logger from "../managers/logger.js";
+import DatabaseManager from "../managers/database.js";
+import Authorization from "../managers/authorization.js";
+import Validator from "../managers/validation.js";
+import { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } from "../managers/errors.js";
 const routes = Router();
 
-routes.post('/login', async (req, res, next) => {
+const USERNAME = { type: 'string', trim: true, minLength: 1, maxLength: 255 };
+const PASSWORD = { type: 'string', minLength: 1, maxLength: 1024 };
+const ROLE_ID = { type: 'integer', nullable: true, min: 1 };
+const USER_ID = { id: { type: 'integer', required: true, min: 1 } };
+const TENANT_ID = { type: 'integer', min: 1 };
+
+// Usernames are unique per tenant, the tenant of the user is part of the credentials.
+routes.post('/login', Validator.validate({ body: { tenant_id: { ...TENANT_ID, required: true }, username: { ...USERNAME, required: true }, password: { ...PASSWORD, required: true } } }), async (req, res, next) => {
 	try {
-		const { username, password } = req.body;
+		const { tenant_id, username, password } = req.body;
 		req.__loggerInstance.info(req.__id, "Login requesst execution...");
-		const data = await (new AuthModel(req.__databaseConnection).login(username, password));
-		console.log(data);
-		if (data.length === 0) return res.status(401).json({ error: true, message: "Invalid username or password." });
-		const token = jsonwebtoken.sign(data[0], 'THISIS&my@234567uiiuytrw');
+		const user = await new AuthModel(req.__databaseConnection, req.__authentication.passwordHasher).login(tenant_id, username, password);
+		if (!user) throw new UnauthorizedError("Invalid tenant, username or password.");
+		const { token, refreshToken, expiresAt } = await req.__authentication.issueTokens(user, req);
 		req.__loggerInstance.info(req.__id, "Login requesst execution success.");
-		return res.status(200).json({ error: false, message: "Login successful.", token });
+		return res.status(200).json({ error: false, message: "Login successful.", token, refreshToken, refreshTokenExpiresAt: expiresAt });
 	} catch (error) {
 		req.__loggerInstance.info(req.__id, "Login request execution failed.");
 		return next(error);
 	}
 });
 
-routes.get('/list', async (req, res, next) => {
+routes.post('/refresh', Validator.validate({ body: { refreshToken: { type: 'string', required: true, minLength: 1 } } }), async (req, res, next) => {
 	try {
-		if (typeof req.query.search === 'string') req.query.search = [req.query.search]
-		req.query.search = req.query.search.reduce((acc, curr) => {
-			const [key, value] = curr.split(':');
-			acc[key] = value;
-			return acc;
-		}, {});
-		console.log(req.query.search);
-		const data = await new AuthModel(req.__databaseConnection).getAll(req.query.search, req.query.limit, req.query.offset);
-		return res.json({ error: false, message: 'List of users found.', data });
+		const { refreshToken } = req.body;
+		const tokens = await req.__authentication.refresh(refreshToken, req);
+		if (!tokens) throw new UnauthorizedError("Invalid or expired refresh token.");
+		return res.status(200).json({ error: false, message: "Token refreshed.", token: tokens.token, refreshToken: tokens.refreshToken, refreshTokenExpiresAt: tokens.expiresAt });
 	} catch (error) {
-		req.__loggerInstance.info(req.__id, "User listing request execution failed.");
+		req.__loggerInstance.info(req.__id, "Token refresh request execution failed.");
+		return next(error);
+	}
+});
+
+routes.post('/logout', async (req, res, next) => {
+	try {
+		await new SessionModel(req.__databaseConnection).revokeSession(req.user.session_id, req.user.id);
+		return res.status(200).json({ error: false, message: "Logout successful." });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "Logout request execution failed.");
 		return next(error);
 	}
 });
 
-routes.patch('/edit/:id', async (req, res, next) => {
+routes.get('/sessions', DatabaseManager.transaction(false), async (req, res, next) => {
 	try {
+		const sessions = await new SessionModel(req.__databaseConnection).getActive(req.user.id);
+		const data = sessions.map(({ session_id, user_agent, ip_address, expires_at, created_at }) => ({
+			session_id, user_agent, ip_address, expires_at, refreshed_at: created_at, current: session_id === req.user.session_id,
+		}));
+		return res.json({ error: false, message: 'List of active sessions found.', data });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "Session listing request execution failed.");
+		return next(error);
+	}
+});
 
+routes.delete('/sessions/:sessionId', Validator.validate({ params: { sessionId: { type: 'string', required: true, format: 'uuid' } } }), async (req, res, next) => {
+	try {
+		const result = await new SessionModel(req.__databaseConnection).revokeSession(req.params.sessionId, req.user.id);
+		if (result.affectedRows === 0) throw new NotFoundError("Session not found.");
+		return res.status(200).json({ error: false, message: "Session revoked." });
 	} catch (error) {
-		req.__loggerInstance.info(req.__id, "Edit user request execution failed.");
+		req.__loggerInstance.info(req.__id, "Session revoke request execution failed.");
 		return next(error);
 	}
 });
-routes.delete('/delete/:id', async (req, res, next) => {
+
+routes.get('/list', Authorization.requirePermission('users', 'read'), Validator.validate({
+	query: {
+		page: { type: 'integer', min: 1 },
+		perPage: { type: 'integer', min: 1, max: 100 },
+		cursor: { type: 'string', minLength: 1 },
+		filter: { type: 'object' },
+		sort: { type: 'string' },
+		q: { type: 'string', trim: true },
+	},
+}), DatabaseManager.transaction(false), async (req, res, next) => {
 	try {
+		const { page, perPage, cursor } = req.query;
+		const { data, pagination } = await new AuthModel(req.__databaseConnection).getAll(ListQuery.parse(req.query), { page, perPage, cursor });
+		return res.json({ error: false, message: 'List of users found.', data, pagination });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "User listing request execution failed.");
+		return next(error);
+	}
+});
 
+routes.patch('/edit/:id', Authorization.requirePermission('users', 'edit'), Validator.validate({ params: USER_ID, body: { username: USERNAME, password: PASSWORD, role_id: ROLE_ID } }), async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const { username, password, role_id } = req.body;
+		const authModel = new AuthModel(req.__databaseConnection, req.__authentication.passwordHasher);
+		const user = await authModel.getByIdInTenant(id, req.user.tenant_id);
+		if (!user) throw new NotFoundError("User not found.");
+		if ([username, password, role_id].every(value => value === undefined)) throw new BadRequestError(`Nothing to update, editable fields are ${AuthModel.EDITABLE_COLUMNS.join(', ')}.`);
+		if (role_id !== undefined && role_id !== null && !(await authModel.roleExistsInTenant(role_id, req.user.tenant_id))) throw new BadRequestError("Role not found.");
+		if (username !== undefined && await authModel.usernameExists(username, req.user.tenant_id, id)) throw new ConflictError("Username already exists.");
+		await authModel.update(id, req.user.tenant_id, { username, password, role_id });
+		// Access tokens carry the role and outlive a password change, the user has to log in again.
+		if (password !== undefined || (role_id !== undefined && role_id !== user.role_id)) await new SessionModel(req.__databaseConnection).revokeAllOfUser(id);
+		const data = await authModel.getByIdInTenant(id, req.user.tenant_id);
+		req.__loggerInstance.info(req.__id, "Edit user request execution success.");
+		return res.status(200).json({ error: false, message: "User updated.", data });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "Edit user request execution failed.");
+		return next(error);
+	}
+});
+routes.delete('/delete/:id', Authorization.requirePermission('users', 'delete'), Validator.validate({ params: USER_ID }), async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const authModel = new AuthModel(req.__databaseConnection);
+		const user = await authModel.getByIdInTenant(id, req.user.tenant_id);
+		if (!user) throw new NotFoundError("User not found.");
+		await authModel.delete(id, req.user.tenant_id);
+		await new SessionModel(req.__databaseConnection).revokeAllOfUser(id);
+		req.__loggerInstance.info(req.__id, "Delete user request execution success.");
+		return res.status(200).json({ error: false, message: "User deleted." });
 	} catch (error) {
 		req.__loggerInstance.info(req.__id, "Delete user request execution failed.");
 		return next(error);
 	}
 });
 
-routes.post('/add', async (req, res, next) => {
+routes.post('/add', Authorization.requirePermission('users', 'write'), Validator.validate({
+	body: { username: { ...USERNAME, required: true }, password: { ...PASSWORD, required: true }, role_id: { ...ROLE_ID, default: null } },
+}), async (req, res, next) => {
 	try {
-
+		const { username, password, role_id } = req.body;
+		const authModel = new AuthModel(req.__databaseConnection, req.__authentication.passwordHasher);
+		if (role_id !== null && !(await authModel.roleExistsInTenant(role_id, req.user.tenant_id))) throw new BadRequestError("Role not found.");
+		if (await authModel.usernameExists(username, req.user.tenant_id)) throw new ConflictError("Username already exists.");
+		const data = await authModel.create({ tenant_id: req.user.tenant_id, username, password, role_id });
+		req.__loggerInstance.info(req.__id, "Register request execution success.");
+		return res.status(201).json({ error: false, message: "User registered.", data });
 	} catch (error) {
 		req.__loggerInstance.info(req.__id, "Register request execution failed.");
 		return next(error);
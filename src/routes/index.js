@@ -1,6 +1,8 @@
 import { Router } from "express";
 import auth from "./auth.js";
+import policies from "./policies.js";
 const router = Router();
 
 router.use("/auth", auth);
+router.use("/policies", policies);
 export default router;
\ No newline at end of file
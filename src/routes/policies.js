@@ -0,0 +1,32 @@
+import { Router } from "express";
+import DatabaseManager from "../managers/database.js";
+import Authorization from "../managers/authorization.js";
+import RolesPermissions from "../models/rolesPermissions.js";
+import PolicyModel from "../models/policy.js";
+const routes = Router();
+
+routes.get('/', Authorization.requirePermission('settings', 'read'), DatabaseManager.transaction(false), async (req, res, next) => {
+	try {
+		const data = await new RolesPermissions().getTenantPolicies(req.user.tenant_id, req.__databaseConnection);
+		return res.json({ error: false, message: 'Policy document found.', data });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "Policy export request execution failed.");
+		return next(error);
+	}
+});
+
+routes.put('/', Authorization.requirePermission('settings', 'edit'), async (req, res, next) => {
+	try {
+		// An invalid document throws a PolicyDocumentError, answered with a 400.
+		const document = RolesPermissions.validateDocument(req.body);
+		await new PolicyModel(req.__databaseConnection).replaceForTenant(req.user.tenant_id, document);
+		// Dropped once the response is sent, after the transaction is committed.
+		res.on('finish', () => req.__authorization.invalidateTenant(req.user.tenant_id));
+		req.__loggerInstance.info(req.__id, "Policy import request execution success.");
+		return res.status(200).json({ error: false, message: 'Policy document imported.' });
+	} catch (error) {
+		req.__loggerInstance.info(req.__id, "Policy import request execution failed.");
+		return next(error);
+	}
+});
+export default routes;
@@ -0,0 +1,49 @@
+import Tenant from "../models/tenant.js";
+import { seedRole } from "./roles.js";
+import { seedUser } from "./users.js";
+
+/**
+ * Demo tenants, each with its roles and users. Passwords are hashed when the users are created.
+ */
+const TENANTS = [
+	{
+		name: 'Acme Corp',
+		roles: { Admin: { users: 'rwed', reports: 'rwed' }, Manager: { users: 'rw', reports: 'rw' } },
+		users: [{ username: 'john.admin', role: 'Admin', password: 'token123' }, { username: 'mary.manager', role: 'Manager', password: 'token456' }],
+	},
+	{
+		name: 'TechStart',
+		roles: { Developer: { analytics: 'rwe' } },
+		users: [{ username: 'dave.dev', role: 'Developer', password: 'token789' }],
+	},
+	{
+		name: 'DataFlow',
+		roles: { Analyst: {} },
+		users: [{ username: 'sara.analyst', role: 'Analyst', password: 'tokenabc' }],
+	},
+	{ name: 'CloudNine', roles: {}, users: [] },
+	{
+		name: 'SecureNet',
+		roles: { Support: {} },
+		users: [{ username: 'tom.support', role: 'Support', password: 'tokenxyz' }],
+	},
+];
+
+/**
+ * Create the demo tenants, roles and users
+ */
+export default {
+	name: 'demo',
+	async seed(seeder) {
+		for (const { name, roles, users } of TENANTS) {
+			const tenant = await seeder.findOrCreate(Tenant, { tenant_name: name });
+			const roleIds = {};
+			for (const [roleName, permissions] of Object.entries(roles)) {
+				roleIds[roleName] = (await seedRole(seeder, tenant.id, roleName, permissions)).id;
+			}
+			for (const { username, role, password } of users) {
+				await seedUser(seeder, { tenant_id: tenant.id, username, role_id: roleIds[role], password });
+			}
+		}
+	},
+};
@@ -0,0 +1,99 @@
+import Tenant from "../models/tenant.js";
+import { User } from "../models/auth.js";
+
+/**
+ * Factory class, generates rows of a model from a definition
+ * The values come from a seeded random generator: the same factory makes the same rows on every run,
+ * so generated data can be inserted again without creating duplicates.
+ *
+ * Usage:
+ * const rows = userFactory.make(100, { tenant_id: 1, role_id: 2, auth_token: hash });
+ * await userFactory.create(connection, 100, index => ({ tenant_id: tenantIds[index % tenantIds.length] }));
+ */
+export default class Factory {
+	#Model;
+	#definition;
+	#seed;
+
+	/**
+	 * @param {typeof Model} Model - A model class made by `Model.define()`
+	 * @param {Function} definition - (index, random) => row, random returns a number in [0, 1)
+	 * @param {number} [seed=1] - Seed of the random generator
+	 */
+	constructor(Model, definition, seed = 1) {
+		this.#Model = Model;
+		this.#definition = definition;
+		this.#seed = seed;
+	}
+
+	/**
+	 * Build rows without inserting them
+	 * @param {number} count - Number of rows
+	 * @param {Object|Function} [overrides] - Values replacing the generated ones, or (index) => values
+	 * @returns {Array<Object>}
+	 */
+	make(count, overrides = {}) {
+		const random = Factory.random(this.#seed);
+		return Array.from({ length: count }, (_, index) => ({
+			...this.#definition(index, random),
+			...(typeof overrides === 'function' ? overrides(index) : overrides),
+		}));
+	}
+
+	/**
+	 * Build rows and insert them, rows colliding with a unique key are skipped
+	 * @param {DatabaseManager} connection - The connection the model is created with
+	 * @param {number} count - Number of rows
+	 * @param {Object|Function} [overrides] - Values replacing the generated ones, or (index) => values
+	 * @returns {Promise<Array<Object>>} - The rows built
+	 */
+	async create(connection, count, overrides = {}) {
+		const rows = this.make(count, overrides);
+		if (rows.length > 0) await new this.#Model(connection).insertIgnore(rows).execute();
+		return rows;
+	}
+
+	/**
+	 * Seeded random generator (mulberry32)
+	 * @param {number} seed
+	 * @returns {Function} - Returns a number in [0, 1) on every call
+	 */
+	static random(seed) {
+		let state = seed >>> 0;
+		return () => {
+			state = (state + 0x6D2B79F5) >>> 0;
+			let value = Math.imul(state ^ (state >>> 15), state | 1);
+			value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+			return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+		};
+	}
+
+	/**
+	 * Pick an item of a list
+	 * @param {Function} random - Generator returned by random()
+	 * @param {Array} items
+	 * @returns {*}
+	 */
+	static pick(random, items) {
+		return items[Math.floor(random() * items.length)];
+	}
+}
+
+const FIRST_NAMES = ['james', 'mary', 'robert', 'patricia', 'john', 'jennifer', 'michael', 'linda', 'david', 'elizabeth', 'william', 'susan', 'richard', 'jessica', 'joseph', 'sarah', 'thomas', 'karen', 'priya', 'arjun', 'wei', 'mei', 'omar', 'fatima', 'lucas', 'sofia', 'mateo', 'yuki', 'kenji', 'amara'];
+const LAST_NAMES = ['smith', 'johnson', 'williams', 'brown', 'jones', 'garcia', 'miller', 'davis', 'rodriguez', 'martinez', 'patel', 'shah', 'kumar', 'chen', 'wang', 'kim', 'nguyen', 'tanaka', 'silva', 'rossi', 'muller', 'dubois', 'okafor', 'hassan', 'cohen'];
+const COMPANY_WORDS = ['Blue', 'Bright', 'North', 'Swift', 'Silver', 'Green', 'Prime', 'Nova', 'Summit', 'Atlas', 'Apex', 'Harbor', 'Pioneer', 'Vertex', 'Quantum'];
+const COMPANY_SUFFIXES = ['Labs', 'Systems', 'Logistics', 'Health', 'Media', 'Analytics', 'Works', 'Solutions', 'Dynamics', 'Partners'];
+
+/**
+ * Tenants named like companies, the index keeps the names unique
+ */
+export const tenantFactory = new Factory(Tenant, (index, random) => ({
+	tenant_name: `${Factory.pick(random, COMPANY_WORDS)} ${Factory.pick(random, COMPANY_SUFFIXES)} ${String(index + 1).padStart(4, '0')}`,
+}));
+
+/**
+ * Users named first.last, the index keeps the usernames unique. tenant_id, role_id and auth_token have to be given.
+ */
+export const userFactory = new Factory(User, (index, random) => ({
+	username: `${Factory.pick(random, FIRST_NAMES)}.${Factory.pick(random, LAST_NAMES)}${index + 1}`,
+}));
@@ -0,0 +1,16 @@
+import Feature from "../models/feature.js";
+
+/**
+ * Feature keys of the application, routes require permissions on them
+ */
+export const FEATURE_KEYS = ['users', 'reports', 'analytics', 'settings', 'dashboard'];
+
+/**
+ * Create the app features, shared by every tenant
+ */
+export default {
+	name: 'features',
+	async seed({ findOrCreate }) {
+		for (const featureKey of FEATURE_KEYS) await findOrCreate(Feature, { feature_key: featureKey });
+	},
+};
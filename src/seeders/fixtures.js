@@ -0,0 +1,18 @@
+import Tenant from "../models/tenant.js";
+import { FEATURE_KEYS } from "./features.js";
+import { seedRole } from "./roles.js";
+import { seedUser } from "./users.js";
+
+/**
+ * Fixtures of automated test runs: one tenant with an admin having every access and a read-only viewer
+ */
+export default {
+	name: 'fixtures',
+	async seed(seeder) {
+		const tenant = await seeder.findOrCreate(Tenant, { tenant_name: 'Fixture Tenant' });
+		const admin = await seedRole(seeder, tenant.id, 'Admin', Object.fromEntries(FEATURE_KEYS.map(featureKey => [featureKey, 'rwed'])));
+		const viewer = await seedRole(seeder, tenant.id, 'Viewer', Object.fromEntries(FEATURE_KEYS.map(featureKey => [featureKey, 'r'])));
+		await seedUser(seeder, { tenant_id: tenant.id, username: 'admin', role_id: admin.id, password: 'password' });
+		await seedUser(seeder, { tenant_id: tenant.id, username: 'viewer', role_id: viewer.id, password: 'password' });
+	},
+};
@@ -0,0 +1,14 @@
+import features from "./features.js";
+import demo from "./demo.js";
+import fixtures from "./fixtures.js";
+import load from "./load.js";
+
+/**
+ * Seeders of each environment, run in order by SeedManager
+ * @type {Object<string, Array<{name: string, seed: Function}>>}
+ */
+export default {
+	development: [features, demo, load],
+	demo: [features, demo],
+	test: [features, fixtures],
+};
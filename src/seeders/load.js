@@ -0,0 +1,22 @@
+import Tenant from "../models/tenant.js";
+import { tenantFactory, userFactory } from "./factory.js";
+import { seedRole } from "./roles.js";
+
+/**
+ * Generated tenants and users for local load testing, only when options.tenants is given
+ * Every generated user shares the password 'password', hashed once for the run.
+ */
+export default {
+	name: 'load',
+	async seed(seeder) {
+		const { tenants = 0, usersPerTenant = 100 } = seeder.options;
+		if (tenants <= 0) return;
+		const password = await seeder.passwordHasher.hash('password');
+		for (const { tenant_name } of tenantFactory.make(tenants)) {
+			const tenant = await seeder.findOrCreate(Tenant, { tenant_name });
+			const role = await seedRole(seeder, tenant.id, 'Member', { users: 'r', dashboard: 'r' });
+			await userFactory.create(seeder.connection, usersPerTenant, { tenant_id: tenant.id, role_id: role.id, auth_token: password });
+		}
+		seeder.logger.info('SEED', `${tenants} tenants of ${usersPerTenant} users generated.`);
+	},
+};
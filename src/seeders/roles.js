@@ -0,0 +1,30 @@
+import Feature from "../models/feature.js";
+import Role from "../models/role.js";
+import { RolePermission } from "../models/permission.js";
+
+/**
+ * Access flags by the letters of a permission string, 'rwed' grants everything
+ * @type {Object<string, string>}
+ */
+const ACCESS_FLAGS = { r: 'read_access', w: 'write_access', e: 'edit_access', d: 'delete_access' };
+
+/**
+ * Find or create a role of a tenant and set its access to features
+ * Features left out keep the access they have, the triggers give new roles a row for the users feature
+ * @param {Object} seeder - Context given to the seeders by SeedManager
+ * @param {number} tenantId - Id of the tenant
+ * @param {string} name - Name of the role
+ * @param {Object<string, string>} [permissions] - Access of each feature key, e.g. { users: 'rwed', reports: 'r' }
+ * @returns {Promise<Object>} - The role row
+ */
+export async function seedRole({ connection, findOrCreate }, tenantId, name, permissions = {}) {
+	const role = await findOrCreate(Role, { tenant_id: tenantId, name });
+	for (const [featureKey, access] of Object.entries(permissions)) {
+		const [feature] = await new Feature(connection).select(['id']).where({ feature_key: featureKey }).limit(1).execute();
+		if (!feature) throw new Error(`Unknown feature "${featureKey}", seed the features first.`);
+		const flags = Object.fromEntries(Object.entries(ACCESS_FLAGS).map(([letter, column]) => [column, access.includes(letter)]));
+		const permission = await findOrCreate(RolePermission, { role_id: role.id, feature_id: feature.id }, flags);
+		await new RolePermission(connection).update(flags).where({ id: permission.id }).execute();
+	}
+	return role;
+}
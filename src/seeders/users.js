@@ -0,0 +1,13 @@
+import { User } from "../models/auth.js";
+
+/**
+ * Find or create a user of a tenant, the password of an existing user is left as it is
+ * @param {Object} seeder - Context given to the seeders by SeedManager
+ * @param {Object} user - tenant_id, username, role_id and the plain password
+ * @returns {Promise<Object>} - The user row
+ */
+export async function seedUser({ connection, findOrCreate, passwordHasher }, { tenant_id, username, role_id, password }) {
+	const [existing] = await new User(connection).select().where({ tenant_id, username }).limit(1).execute();
+	if (existing) return existing;
+	return await findOrCreate(User, { tenant_id, username }, { role_id, auth_token: await passwordHasher.hash(password) });
+}